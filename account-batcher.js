@@ -0,0 +1,124 @@
+// Merges single-account lookups into batched upstream calls.
+//
+// Lookups for the same registry method arriving within `windowMs` of the
+// first are collected and sent upstream as one call with the union of names
+// (at most `maxBatchSize` per call). Each requester gets back only the entry
+// for its own name. The registry entry's `batch` declares how names and
+// results are laid out (see method-registry.js).
+
+class AccountBatcher {
+  constructor({ fetch, windowMs = 10, maxBatchSize = 100, splitOnError }) {
+    if (!Number.isFinite(windowMs) || windowMs < 0) {
+      throw new Error("windowMs must be a non-negative number");
+    }
+    if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) {
+      throw new Error("maxBatchSize must be a positive integer");
+    }
+
+    this.fetch = fetch; // async (entry, names) => [item, ...]
+    this.windowMs = windowMs;
+    this.maxBatchSize = maxBatchSize;
+    // Errors for which a multi-name batch is retried name by name, so one
+    // bad name only fails its own requester
+    this.splitOnError = splitOnError || (() => false);
+
+    // entry name -> { entry, waiters: Map<name, [{ resolve, reject }]>, timer }
+    this.pending = new Map();
+    this.stats = { lookups: 0, upstreamCalls: 0 };
+  }
+
+  // Resolves with the item for one name, or null when it does not exist
+  load(entry, name) {
+    this.stats.lookups++;
+
+    let batch = this.pending.get(entry.name);
+    if (!batch) {
+      batch = { entry, waiters: new Map(), timer: null };
+      batch.timer = setTimeout(() => this.flush(batch), this.windowMs);
+      this.pending.set(entry.name, batch);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!batch.waiters.has(name)) {
+        batch.waiters.set(name, []);
+      }
+      batch.waiters.get(name).push({ resolve, reject });
+
+      if (batch.waiters.size >= this.maxBatchSize) {
+        this.flush(batch);
+      }
+    });
+  }
+
+  async flush(batch) {
+    if (this.pending.get(batch.entry.name) !== batch) return;
+    this.pending.delete(batch.entry.name);
+    clearTimeout(batch.timer);
+
+    const names = Array.from(batch.waiters.keys());
+    try {
+      this.settle(batch, names, await this.fetchItems(batch.entry, names));
+    } catch (error) {
+      if (names.length === 1 || !this.splitOnError(error)) {
+        this.fail(batch, names, error);
+        return;
+      }
+
+      await Promise.all(
+        names.map(async (name) => {
+          try {
+            this.settle(
+              batch,
+              [name],
+              await this.fetchItems(batch.entry, [name])
+            );
+          } catch (nameError) {
+            this.fail(batch, [name], nameError);
+          }
+        })
+      );
+    }
+  }
+
+  fetchItems(entry, names) {
+    this.stats.upstreamCalls++;
+    return this.fetch(entry, names);
+  }
+
+  settle(batch, names, items) {
+    const { key } = batch.entry.batch;
+    const byName = new Map((items || []).map((item) => [item[key], item]));
+    names.forEach((name) =>
+      batch.waiters
+        .get(name)
+        .forEach(({ resolve }) => resolve(byName.get(name) || null))
+    );
+  }
+
+  fail(batch, names, error) {
+    names.forEach((name) =>
+      batch.waiters.get(name).forEach(({ reject }) => reject(error))
+    );
+  }
+
+  // Fail every lookup still waiting for its batch to be sent
+  stop(error) {
+    this.pending.forEach((batch) => {
+      clearTimeout(batch.timer);
+      this.fail(batch, Array.from(batch.waiters.keys()), error);
+    });
+    this.pending.clear();
+  }
+
+  getStats() {
+    return {
+      windowMs: this.windowMs,
+      maxBatchSize: this.maxBatchSize,
+      lookups: this.stats.lookups,
+      upstreamCalls: this.stats.upstreamCalls,
+      pendingBatches: this.pending.size,
+    };
+  }
+}
+
+module.exports = { AccountBatcher };
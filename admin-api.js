@@ -0,0 +1,277 @@
+// Token-protected admin HTTP API for operating a running bridge.
+//
+// Requests need "Authorization: Bearer <adminToken>"; without a configured
+// token every /admin route answers 404. Bodies are JSON. Every action is
+// logged with the caller's address for audit.
+//
+//   GET  /admin/clients                   connected clients
+//   POST /admin/clients/:id/disconnect
+//   GET  /admin/nodes                     upstream nodes and their state
+//   POST /admin/nodes/add                 { url }
+//   POST /admin/nodes/remove              { url }
+//   POST /admin/nodes/enable              { url }
+//   POST /admin/nodes/disable             { url }
+//   POST /admin/nodes/switch              { url } (optional: next node)
+//   POST /admin/nodes/pin                 { url }
+//   POST /admin/nodes/unpin
+//   POST /admin/cache/flush               { namespace } (optional: all)
+//   POST /admin/drain                     { enabled } (default true)
+//   GET  /admin/keys                      API keys loaded and usage per key
+//   POST /admin/keys/reload               re-read apiKeysFile
+
+const crypto = require("crypto");
+const { isHttpUrl } = require("./config");
+
+const MAX_BODY_BYTES = 4096;
+
+class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AdminError";
+    this.status = status;
+  }
+}
+
+// [HTTP method, path, handler]; path groups are passed to the handler
+const ROUTES = [
+  ["GET", /^\/admin\/clients$/, "listClients"],
+  ["POST", /^\/admin\/clients\/([^/]+)\/disconnect$/, "disconnectClient"],
+  ["GET", /^\/admin\/nodes$/, "listNodes"],
+  ["POST", /^\/admin\/nodes\/add$/, "addNode"],
+  ["POST", /^\/admin\/nodes\/remove$/, "removeNode"],
+  ["POST", /^\/admin\/nodes\/enable$/, "enableNode"],
+  ["POST", /^\/admin\/nodes\/disable$/, "disableNode"],
+  ["POST", /^\/admin\/nodes\/switch$/, "switchNode"],
+  ["POST", /^\/admin\/nodes\/pin$/, "pinNode"],
+  ["POST", /^\/admin\/nodes\/unpin$/, "unpinNode"],
+  ["POST", /^\/admin\/cache\/flush$/, "flushCache"],
+  ["POST", /^\/admin\/drain$/, "drain"],
+  ["GET", /^\/admin\/keys$/, "listKeys"],
+  ["POST", /^\/admin\/keys\/reload$/, "reloadKeys"],
+];
+
+class AdminApi {
+  constructor(bridge, { token, logger }) {
+    this.bridge = bridge;
+    this.logger = logger;
+    // Compared as digests so the check takes the same time for any guess
+    this.tokenDigest = token ? digest(token) : null;
+  }
+
+  handles(req) {
+    return req.url === "/admin" || req.url.startsWith("/admin/");
+  }
+
+  async handle(req, res) {
+    const clientIP = req.socket.remoteAddress;
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!this.tokenDigest) {
+      reply(404, { error: "Not found" });
+      return;
+    }
+    if (!this.authorized(req)) {
+      this.logger.warn("Admin request rejected", {
+        event: "admin",
+        clientIP,
+        method: req.method,
+        path: req.url,
+      });
+      res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+      reply(401, { error: "Unauthorized" });
+      return;
+    }
+
+    const path = req.url.split("?")[0];
+    const route = ROUTES.find(
+      ([method, pattern]) => method === req.method && pattern.test(path)
+    );
+    if (!route) {
+      reply(404, { error: "Not found" });
+      return;
+    }
+
+    const [, pattern, handler] = route;
+    const args = pattern.exec(path).slice(1).map(decodeURIComponent);
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : {};
+      const result = await this[handler](body, ...args);
+      if (req.method !== "GET") {
+        this.logger.info("Admin action", {
+          event: "admin",
+          action: handler,
+          clientIP,
+          body,
+          ...(args.length > 0 && { target: args[0] }),
+        });
+      }
+      reply(200, result);
+    } catch (error) {
+      if (!(error instanceof AdminError)) {
+        // The bridge refused the change, e.g. removing the last node
+        error = new AdminError(409, error.message);
+      }
+      this.logger.warn("Admin action failed", {
+        event: "admin",
+        action: handler,
+        clientIP,
+        status: error.status,
+        error,
+      });
+      reply(error.status, { error: error.message });
+    }
+  }
+
+  authorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    return (
+      !!match && crypto.timingSafeEqual(digest(match[1]), this.tokenDigest)
+    );
+  }
+
+  listClients() {
+    return { clients: this.bridge.listClients() };
+  }
+
+  disconnectClient(body, id) {
+    if (!this.bridge.disconnectClient(id)) {
+      throw new AdminError(404, `No client with id ${id}`);
+    }
+    return { disconnected: id };
+  }
+
+  listNodes() {
+    return { nodes: this.bridge.listNodes() };
+  }
+
+  addNode({ url }) {
+    this.bridge.addNode(requireUrl(url));
+    return this.listNodes();
+  }
+
+  removeNode({ url }) {
+    this.bridge.removeNode(this.knownNode(url));
+    return this.listNodes();
+  }
+
+  enableNode({ url }) {
+    this.bridge.setNodeEnabled(this.knownNode(url), true);
+    return this.listNodes();
+  }
+
+  disableNode({ url }) {
+    this.bridge.setNodeEnabled(this.knownNode(url), false);
+    return this.listNodes();
+  }
+
+  switchNode({ url }) {
+    this.bridge.forceNodeSwitch(
+      url === undefined ? undefined : this.knownNode(url)
+    );
+    return this.listNodes();
+  }
+
+  pinNode({ url }) {
+    this.bridge.pinNode(this.knownNode(url));
+    return this.listNodes();
+  }
+
+  unpinNode() {
+    this.bridge.unpinNode();
+    return this.listNodes();
+  }
+
+  flushCache({ namespace }) {
+    if (
+      namespace !== undefined &&
+      !this.bridge.cacheNamespaces().includes(namespace)
+    ) {
+      throw new AdminError(
+        400,
+        `namespace must be one of ${this.bridge.cacheNamespaces().join(", ")}`
+      );
+    }
+    this.bridge.flushCache(namespace);
+    return { flushed: namespace || "all" };
+  }
+
+  drain({ enabled = true }) {
+    if (typeof enabled !== "boolean") {
+      throw new AdminError(400, "enabled must be true or false");
+    }
+    this.bridge.setDraining(enabled);
+    return {
+      draining: this.bridge.draining,
+      connectedClients: this.bridge.listClients().length,
+    };
+  }
+
+  listKeys() {
+    return this.bridge.apiKeys.getStats();
+  }
+
+  reloadKeys() {
+    if (!this.bridge.apiKeys.file) {
+      throw new AdminError(400, "No apiKeysFile is configured");
+    }
+    return this.bridge.reloadApiKeys();
+  }
+
+  knownNode(url) {
+    requireUrl(url);
+    if (!this.bridge.nodes.includes(url)) {
+      throw new AdminError(404, `Unknown node ${url}`);
+    }
+    return url;
+  }
+}
+
+function requireUrl(url) {
+  if (!isHttpUrl(url)) {
+    throw new AdminError(400, "url must be an http(s) URL");
+  }
+  return url;
+}
+
+function digest(token) {
+  return crypto.createHash("sha256").update(token).digest();
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new AdminError(413, "Request body too large"));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new AdminError(400, "Body must be a JSON object"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+module.exports = { AdminApi };
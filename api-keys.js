@@ -0,0 +1,143 @@
+// API keys, the tier each maps to, and usage per key.
+//
+// Keys are read from a JSON or YAML file (apiKeysFile):
+//
+//   keys:
+//     - key: 9d3f0c2e7b1a4c58  # the secret clients present
+//       name: acme            # shown in stats and logs instead of the key
+//       tier: pro             # one of the bridge's `tiers`
+//
+// load() can be called again to pick up changes; a file with problems leaves
+// the loaded keys in place. Usage is counted per key name, and for clients
+// without a key under the anonymous tier's name.
+
+const { ConfigError, readConfigFile } = require("./config");
+
+const MIN_KEY_LENGTH = 16;
+
+class ApiKeyStore {
+  constructor({ file, tiers }) {
+    this.file = file;
+    this.tiers = tiers;
+    this.keys = new Map(); // key -> { name, tier }
+    this.usage = new Map(); // name -> { tier, connections, requests, ... }
+    this.loadedAt = null;
+  }
+
+  // Read the keys file. Throws a ConfigError listing every problem found.
+  load() {
+    if (!this.file) return;
+
+    const problems = [];
+    const parsed = readConfigFile(this.file, problems);
+    const keys = new Map();
+    const names = new Set();
+
+    if (parsed && !Array.isArray(parsed.keys)) {
+      problems.push(`${this.file}: keys must be a list`);
+    } else if (parsed) {
+      parsed.keys.forEach((entry, index) => {
+        const where = `${this.file}: keys[${index}]`;
+        if (!entry || typeof entry !== "object") {
+          problems.push(`${where} must be an object`);
+          return;
+        }
+        const { key, name, tier } = entry;
+        if (typeof key !== "string" || key.length < MIN_KEY_LENGTH) {
+          problems.push(
+            `${where}.key must be a string of at least ${MIN_KEY_LENGTH} characters`
+          );
+        } else if (keys.has(key)) {
+          problems.push(`${where}.key is listed twice`);
+        }
+        if (typeof name !== "string" || !name) {
+          problems.push(`${where}.name must be a non-empty string`);
+        } else if (names.has(name)) {
+          problems.push(`${where}.name "${name}" is used twice`);
+        }
+        if (!this.tiers[tier]) {
+          problems.push(
+            `${where}.tier must be one of ${Object.keys(this.tiers).join(", ")}`
+          );
+        }
+        keys.set(key, { name, tier });
+        names.add(name);
+      });
+    }
+
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    this.keys = keys;
+    this.loadedAt = Date.now();
+  }
+
+  // { name, tier } for a key, or null when it is unknown
+  lookup(key) {
+    return this.keys.get(key) || null;
+  }
+
+  usageFor({ name, tier }) {
+    let usage = this.usage.get(name);
+    if (!usage) {
+      usage = {
+        tier,
+        connections: 0,
+        totalConnections: 0,
+        requests: 0,
+        rejected: 0,
+        lastSeen: null,
+      };
+      this.usage.set(name, usage);
+    }
+    usage.tier = tier;
+    return usage;
+  }
+
+  connections(identity) {
+    return this.usageFor(identity).connections;
+  }
+
+  recordConnect(identity) {
+    const usage = this.usageFor(identity);
+    usage.connections++;
+    usage.totalConnections++;
+    usage.lastSeen = Date.now();
+  }
+
+  recordDisconnect(identity) {
+    this.usageFor(identity).connections--;
+  }
+
+  recordRequest(identity) {
+    const usage = this.usageFor(identity);
+    usage.requests++;
+    usage.lastSeen = Date.now();
+  }
+
+  // Requests refused by the tier's rate limit, methods or subscription limit
+  recordRejection(identity) {
+    this.usageFor(identity).rejected++;
+  }
+
+  getStats() {
+    return {
+      file: this.file,
+      keys: this.keys.size,
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      usage: Object.fromEntries(
+        Array.from(this.usage, ([name, usage]) => [
+          name,
+          {
+            ...usage,
+            lastSeen: usage.lastSeen
+              ? new Date(usage.lastSeen).toISOString()
+              : null,
+          },
+        ])
+      ),
+    };
+  }
+}
+
+module.exports = { ApiKeyStore };
@@ -0,0 +1,85 @@
+// Circuit breaker for one upstream node.
+//
+//   closed     calls go through; failureThreshold node faults in a row open
+//              the breaker
+//   open       no calls until cooldownMs has passed, then half-open
+//   half_open  up to halfOpenRequests trial calls; a success closes the
+//              breaker, a failure opens it again for another cool-down
+//
+// onStateChange(from, to) is called on every transition.
+
+const STATES = ["closed", "open", "half_open"];
+
+class CircuitBreaker {
+  constructor({
+    failureThreshold = 3,
+    cooldownMs = 30000,
+    halfOpenRequests = 1,
+    onStateChange = () => {},
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.halfOpenRequests = halfOpenRequests;
+    this.onStateChange = onStateChange;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trials = 0; // Trial calls let through since going half-open
+    this.transitions = Object.fromEntries(STATES.map((state) => [state, 0]));
+  }
+
+  // Whether a call may be sent now. Counts the call as a trial when
+  // half-open.
+  allowRequest() {
+    if (
+      this.state === "open" &&
+      Date.now() - this.openedAt >= this.cooldownMs
+    ) {
+      this.transition("half_open");
+    }
+    if (this.state === "half_open") {
+      if (this.trials >= this.halfOpenRequests) return false;
+      this.trials++;
+      return true;
+    }
+    return this.state === "closed";
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== "closed") {
+      this.transition("closed");
+    }
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (
+      this.state === "half_open" ||
+      (this.state === "closed" &&
+        this.consecutiveFailures >= this.failureThreshold)
+    ) {
+      this.transition("open");
+    }
+  }
+
+  transition(state) {
+    const from = this.state;
+    this.state = state;
+    this.trials = 0;
+    this.openedAt = state === "open" ? Date.now() : null;
+    this.transitions[state]++;
+    this.onStateChange(from, state);
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      transitions: { ...this.transitions },
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
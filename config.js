@@ -0,0 +1,597 @@
+// Bridge configuration.
+//
+// Settings come from, in increasing order of precedence: the defaults below,
+// a JSON or YAML file named by STEEM_BRIDGE_CONFIG, and STEEM_BRIDGE_*
+// environment variables. Variable names are the option path in upper snake
+// case (STEEM_BRIDGE_MAX_CONNECTIONS, STEEM_BRIDGE_CACHE_BLOCK_TTL for
+// cache.blockTTL); lists such as nodes are comma-separated,
+// logging.sampling is written "event=N,event=N", hedging.methods
+// "api.method=P,api.method=P" and tiers is JSON. PORT is
+// still honoured, below STEEM_BRIDGE_PORT.
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const DEFAULT_CONFIG = {
+  port: 8080,
+  // Public hostname reported in info/status responses
+  domain: "dhakawitness.com",
+  // Upstream Steem nodes, in failover order
+  nodes: [
+    "https://api.steemit.com/",
+    "https://api.moecki.online/",
+    "https://api.steemitdev.com/",
+    "https://steemd.steemworld.org/",
+    "https://api.pennsif.net/",
+    "https://api.botsteem.com/",
+    "https://api.steememory.com/",
+    "https://steemapi.boylikegirl.club/",
+    "https://api.justyy.com/",
+    "https://api.steem.fans/",
+  ],
+  // Origins allowed by CORS on the HTTP endpoints
+  allowedOrigins: [
+    "https://dhakawitness.com",
+    "https://www.dhakawitness.com",
+    "http://localhost:3000", // For development
+    "http://localhost:8080", // For local testing
+  ],
+  maxConnections: 100,
+  rateLimitPerMinute: 2000, // Messages per socket (33/sec avg)
+  maxPayload: 16 * 1024, // Max message / HTTP body size in bytes
+  maxQueueSize: 1000,
+  concurrency: 10, // Requests run at once per queue lane
+  perClientConcurrency: 4,
+  maxBackfillBlocks: 1200, // from_block replay window
+  accountBatchWindowMs: 10,
+  upstreamTimeoutMs: 10000, // Per node, before failing over
+  updateIntervalMs: 3000, // Global properties poll and block streaming
+  healthCheckIntervalMs: 30000, // Every node is probed this often
+  // Nodes further behind the highest head seen are taken out of rotation
+  maxHeadLagBlocks: 20,
+  // Recent calls and probes per node behind its latency and error rate
+  healthSampleSize: 100,
+  // How often each node's method list is fetched again (jsonrpc.get_methods)
+  capabilityRefreshMs: 3600000,
+  // Per-node circuit breakers (see circuit-breaker.js)
+  circuitBreaker: {
+    failureThreshold: 3, // Node faults in a row that open the breaker
+    cooldownMs: 30000, // Before an open breaker lets a trial call through
+    halfOpenRequests: 1, // Trial calls while half-open
+  },
+  // Hedged calls: when the node has not answered a listed method within its
+  // latency percentile P (and minDelayMs), the call is also sent to the
+  // next-best healthy node and the first answer wins. Hedges are limited to
+  // budgetPercent percent of upstream calls. No methods are hedged by
+  // default.
+  hedging: {
+    methods: {}, // "api.method" -> P, e.g. { "condenser_api.get_block": 95 }
+    minDelayMs: 50,
+    budgetPercent: 10,
+  },
+  // Verified calls are sent to `nodes` healthy nodes at once and only
+  // answered when every node gives the same result. Clients ask for it per
+  // request ("verified": true); listed methods are always verified.
+  verification: {
+    methods: [], // "api.method" names
+    nodes: 2,
+  },
+  // Bearer token for the /admin API; the API is disabled without one
+  adminToken: null,
+  // Client tiers. Every setting is optional: requestsPerMinute (default
+  // rateLimitPerMinute), maxConnections (per API key; for the anonymous
+  // tier, across all anonymous clients), maxSubscriptions per connection and
+  // methods (allowed method names, "*" wildcards).
+  tiers: {
+    anonymous: {},
+  },
+  // Tier for clients without an API key; null requires a key
+  anonymousTier: "anonymous",
+  // JSON or YAML file of API keys (see api-keys.js)
+  apiKeysFile: null,
+  // Cache TTLs in ms
+  cache: {
+    globalTTL: 3000,
+    witnessTTL: 300000,
+    blockTTL: 300000,
+    marketTTL: 4000,
+    accountTTL: 10000,
+    otherTTL: 30000,
+    maxCacheSize: 1000, // Max cached items per type
+  },
+  logging: {
+    level: "info", // error, warn, info or debug
+    format: "text", // text or json
+    // Fields masked in log lines; request params may hold private data
+    redact: ["params"],
+    // Write one line in N for high-volume events
+    sampling: { broadcast: 100 },
+  },
+};
+
+// Options holding a group of settings, merged key by key
+const OPTION_GROUPS = [
+  "cache",
+  "logging",
+  "circuitBreaker",
+  "hedging",
+  "verification",
+];
+
+// Type of every option; "methods" (a method registry list) is checked by
+// MethodRegistry instead
+const OPTION_TYPES = {
+  port: "port",
+  domain: "hostname",
+  nodes: "nodeUrls",
+  allowedOrigins: "origins",
+  maxConnections: "positiveInteger",
+  rateLimitPerMinute: "positiveInteger",
+  maxPayload: "positiveInteger",
+  maxQueueSize: "positiveInteger",
+  concurrency: "positiveInteger",
+  perClientConcurrency: "positiveInteger",
+  maxBackfillBlocks: "positiveInteger",
+  accountBatchWindowMs: "nonNegativeInteger",
+  upstreamTimeoutMs: "positiveInteger",
+  updateIntervalMs: "positiveInteger",
+  healthCheckIntervalMs: "positiveInteger",
+  maxHeadLagBlocks: "nonNegativeInteger",
+  healthSampleSize: "positiveInteger",
+  capabilityRefreshMs: "positiveInteger",
+  adminToken: "secret",
+  tiers: "tiers",
+  anonymousTier: "optionalName",
+  apiKeysFile: "optionalName",
+  "cache.globalTTL": "nonNegativeInteger",
+  "cache.witnessTTL": "nonNegativeInteger",
+  "cache.blockTTL": "nonNegativeInteger",
+  "cache.marketTTL": "nonNegativeInteger",
+  "cache.accountTTL": "nonNegativeInteger",
+  "cache.otherTTL": "nonNegativeInteger",
+  "cache.maxCacheSize": "positiveInteger",
+  "circuitBreaker.failureThreshold": "positiveInteger",
+  "circuitBreaker.cooldownMs": "nonNegativeInteger",
+  "circuitBreaker.halfOpenRequests": "positiveInteger",
+  "hedging.methods": "percentiles",
+  "hedging.minDelayMs": "nonNegativeInteger",
+  "hedging.budgetPercent": "percent",
+  "verification.methods": "methodNames",
+  "verification.nodes": "nodeCount",
+  "logging.level": "logLevel",
+  "logging.format": "logFormat",
+  "logging.redact": "fieldNames",
+  "logging.sampling": "sampleRates",
+};
+
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+const LOG_FORMATS = ["text", "json"];
+
+// Settings a tier may have, with their types
+const TIER_SETTINGS = {
+  requestsPerMinute: "positiveInteger",
+  maxConnections: "positiveInteger",
+  maxSubscriptions: "nonNegativeInteger",
+  methods: "fieldNames",
+};
+
+const MIN_SECRET_LENGTH = 16;
+
+// As in the method registry
+const METHOD_NAME = /^[a-z_]+\.[a-z0-9_]+$/;
+
+const ENV_PREFIX = "STEEM_BRIDGE_";
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Read the config file and environment, then merge and validate. Throws a
+// ConfigError listing every problem found.
+function loadConfig({ file, env = process.env } = {}) {
+  const configFile = file || env.STEEM_BRIDGE_CONFIG;
+  const problems = [];
+
+  const fileConfig = configFile ? readConfigFile(configFile, problems) : {};
+  if (fileConfig) {
+    checkUnknownOptions(fileConfig, configFile, problems);
+  }
+  const envConfig = readEnv(env, problems);
+
+  const config = withDefaults(mergeOptions(fileConfig || {}, envConfig));
+  problems.push(...validate(config));
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+// Fill in defaults and validate options given programmatically or loaded by
+// loadConfig
+function resolveConfig(options = {}) {
+  const config = withDefaults(options);
+  const problems = validate(config);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+function withDefaults(options) {
+  return mergeOptions(DEFAULT_CONFIG, options);
+}
+
+// Shallow merge, except that groups are merged key by key
+function mergeOptions(base, overrides) {
+  const merged = { ...base, ...overrides };
+  OPTION_GROUPS.forEach((group) => {
+    merged[group] = { ...base[group], ...overrides[group] };
+  });
+  return merged;
+}
+
+function validate(config) {
+  const problems = [];
+  Object.entries(OPTION_TYPES).forEach(([option, type]) => {
+    const problem = checkType(getOption(config, option), type);
+    if (problem) {
+      problems.push(`${option} ${problem}`);
+    }
+  });
+  if (checkType(config.tiers, "tiers") === null) {
+    problems.push(...validateTiers(config));
+  }
+  if (
+    checkType(config.nodes, "nodeUrls") === null &&
+    checkType(config.verification.methods, "methodNames") === null &&
+    checkType(config.verification.nodes, "nodeCount") === null
+  ) {
+    const problem = checkVerificationNodes(
+      config.verification,
+      config.nodes.length
+    );
+    if (problem) problems.push(problem);
+  }
+  return problems;
+}
+
+// Verified calls need verification.nodes distinct nodes. Only checked once
+// verification is configured, so single-node setups keep the default.
+function checkVerificationNodes({ methods, nodes }, nodeCount) {
+  const configured =
+    methods.length > 0 || nodes !== DEFAULT_CONFIG.verification.nodes;
+  if (!configured || nodes <= nodeCount) return null;
+  return `verification.nodes (${nodes}) must not exceed the number of nodes (${nodeCount})`;
+}
+
+function validateTiers({ tiers, anonymousTier }) {
+  const problems = [];
+  Object.entries(tiers).forEach(([name, tier]) => {
+    Object.entries(tier).forEach(([setting, value]) => {
+      const type = TIER_SETTINGS[setting];
+      if (!type) {
+        problems.push(`tiers.${name}: unknown setting "${setting}"`);
+        return;
+      }
+      const problem = checkType(value, type);
+      if (problem) {
+        problems.push(`tiers.${name}.${setting} ${problem}`);
+      }
+    });
+  });
+  if (anonymousTier && !tiers[anonymousTier]) {
+    problems.push(
+      `anonymousTier must be one of ${Object.keys(tiers).join(", ")}`
+    );
+  }
+  return problems;
+}
+
+function readConfigFile(file, problems) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    problems.push(`cannot read config file ${file}: ${error.message}`);
+    return null;
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  let parsed;
+  try {
+    if (extension === ".json") {
+      parsed = JSON.parse(text);
+    } else if (extension === ".yaml" || extension === ".yml") {
+      parsed = yaml.load(text);
+    } else {
+      problems.push(`config file ${file} must end in .json, .yaml or .yml`);
+      return null;
+    }
+  } catch (error) {
+    problems.push(`cannot parse config file ${file}: ${error.message}`);
+    return null;
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    problems.push(`config file ${file} must contain an object`);
+    return null;
+  }
+  return parsed;
+}
+
+// Typos in a config file would otherwise be silently ignored
+function checkUnknownOptions(fileConfig, file, problems) {
+  Object.keys(fileConfig).forEach((key) => {
+    if (OPTION_GROUPS.includes(key)) {
+      const group = fileConfig[key];
+      if (!group || typeof group !== "object" || Array.isArray(group)) {
+        problems.push(`${file}: ${key} must be an object`);
+        return;
+      }
+      Object.keys(group).forEach((groupKey) => {
+        if (!OPTION_TYPES[`${key}.${groupKey}`]) {
+          problems.push(`${file}: unknown option "${key}.${groupKey}"`);
+        }
+      });
+    } else if (key !== "methods" && !OPTION_TYPES[key]) {
+      problems.push(`${file}: unknown option "${key}"`);
+    }
+  });
+}
+
+function readEnv(env, problems) {
+  const config = Object.fromEntries(OPTION_GROUPS.map((group) => [group, {}]));
+
+  const setFromEnv = (option, name, value) => {
+    const parsed = parseEnvValue(value, OPTION_TYPES[option]);
+    if (parsed === undefined) {
+      problems.push(`${name} must be ${describeType(OPTION_TYPES[option])}`);
+      return;
+    }
+    const [group, key] = option.split(".");
+    if (key) {
+      config[group][key] = parsed;
+    } else {
+      config[group] = parsed;
+    }
+  };
+
+  if (env.PORT !== undefined && env[`${ENV_PREFIX}PORT`] === undefined) {
+    setFromEnv("port", "PORT", env.PORT);
+  }
+  Object.keys(OPTION_TYPES).forEach((option) => {
+    const name = envName(option);
+    if (env[name] !== undefined) {
+      setFromEnv(option, name, env[name]);
+    }
+  });
+  return config;
+}
+
+// "cache.blockTTL" -> "STEEM_BRIDGE_CACHE_BLOCK_TTL"
+function envName(option) {
+  return (
+    ENV_PREFIX +
+    option
+      .replace(/\./g, "_")
+      .replace(/([a-z])([A-Z])/g, "$1_$2")
+      .toUpperCase()
+  );
+}
+
+// Returns undefined when the value cannot be converted
+function parseEnvValue(value, type) {
+  switch (type) {
+    case "nodeUrls":
+    case "origins":
+    case "fieldNames":
+    case "methodNames":
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    case "hostname":
+    case "secret":
+      return value.trim();
+    case "optionalName":
+      return value.trim() || null;
+    case "tiers":
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return undefined;
+      }
+    case "logLevel":
+    case "logFormat":
+      return value.trim().toLowerCase();
+    case "sampleRates":
+    case "percentiles": {
+      const rates = {};
+      const valid = value
+        .split(",")
+        .filter((item) => item.trim())
+        .every((item) => {
+          const match = /^\s*([\w.]+)\s*=\s*(\d+)\s*$/.exec(item);
+          if (match) {
+            rates[match[1]] = Number(match[2]);
+          }
+          return !!match;
+        });
+      return valid ? rates : undefined;
+    }
+    default:
+      return /^\d+$/.test(value.trim()) ? Number(value) : undefined;
+  }
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "port":
+      return Number.isInteger(value) && value >= 0 && value <= 65535
+        ? null
+        : `must be ${describeType(type)}`;
+    case "positiveInteger":
+      return Number.isInteger(value) && value >= 1
+        ? null
+        : `must be ${describeType(type)}`;
+    case "nonNegativeInteger":
+      return Number.isInteger(value) && value >= 0
+        ? null
+        : `must be ${describeType(type)}`;
+    case "percent":
+      return Number.isInteger(value) && value >= 0 && value <= 100
+        ? null
+        : `must be ${describeType(type)}`;
+    case "nodeCount":
+      return Number.isInteger(value) && value >= 2
+        ? null
+        : `must be ${describeType(type)}`;
+    case "hostname":
+      return typeof value === "string" && /^[a-z0-9.-]+(:\d+)?$/i.test(value)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "nodeUrls":
+    case "origins": {
+      if (!Array.isArray(value) || (type === "nodeUrls" && !value.length)) {
+        return `must be ${describeType(type)}`;
+      }
+      const invalid = value.find((url) => !isHttpUrl(url));
+      return invalid === undefined
+        ? null
+        : `contains an invalid http(s) URL: ${JSON.stringify(invalid)}`;
+    }
+    case "secret":
+      return value === null ||
+        (typeof value === "string" && value.length >= MIN_SECRET_LENGTH)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "optionalName":
+      return value === null || (typeof value === "string" && value)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "tiers":
+      return isPlainObject(value) &&
+        Object.keys(value).length > 0 &&
+        Object.values(value).every(isPlainObject)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "logLevel":
+      return LOG_LEVELS.includes(value)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "logFormat":
+      return LOG_FORMATS.includes(value)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "fieldNames":
+      return Array.isArray(value) &&
+        value.every((name) => typeof name === "string" && name)
+        ? null
+        : `must be ${describeType(type)}`;
+    case "methodNames":
+      return Array.isArray(value) &&
+        value.every(
+          (name) => typeof name === "string" && METHOD_NAME.test(name)
+        )
+        ? null
+        : `must be ${describeType(type)}`;
+    case "sampleRates":
+      return value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.values(value).every(
+          (every) => Number.isInteger(every) && every >= 1
+        )
+        ? null
+        : `must be ${describeType(type)}`;
+    case "percentiles":
+      return isPlainObject(value) &&
+        Object.entries(value).every(
+          ([method, percentile]) =>
+            METHOD_NAME.test(method) &&
+            Number.isInteger(percentile) &&
+            percentile >= 1 &&
+            percentile <= 100
+        )
+        ? null
+        : `must be ${describeType(type)}`;
+    default:
+      return null;
+  }
+}
+
+function describeType(type) {
+  switch (type) {
+    case "port":
+      return "a port number (0-65535, 0 picks a free port)";
+    case "positiveInteger":
+      return "a positive integer";
+    case "nonNegativeInteger":
+      return "a non-negative integer";
+    case "percent":
+      return "an integer from 0 to 100";
+    case "nodeCount":
+      return "an integer of at least 2";
+    case "hostname":
+      return "a hostname such as example.com";
+    case "nodeUrls":
+      return "a non-empty list of http(s) URLs";
+    case "origins":
+      return "a list of http(s) origins";
+    case "secret":
+      return `a string of at least ${MIN_SECRET_LENGTH} characters`;
+    case "optionalName":
+      return "a non-empty string or null";
+    case "tiers":
+      return "a map of tier names to tier settings";
+    case "logLevel":
+      return `one of ${LOG_LEVELS.join(", ")}`;
+    case "logFormat":
+      return `one of ${LOG_FORMATS.join(", ")}`;
+    case "fieldNames":
+      return "a list of field names";
+    case "methodNames":
+      return 'a list of "api.method" names';
+    case "sampleRates":
+      return 'a map of event names to positive integers ("event=N,...")';
+    case "percentiles":
+      return 'a map of "api.method" names to percentiles from 1 to 100 ("api.method=P,...")';
+    default:
+      return type;
+  }
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function getOption(config, option) {
+  return option
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), config);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ConfigError,
+  loadConfig,
+  resolveConfig,
+  readConfigFile,
+  isHttpUrl,
+  checkVerificationNodes,
+};
@@ -0,0 +1,45 @@
+// Budget for hedged upstream calls.
+//
+// A token bucket: every upstream call earns percent / 100 of a token, up to
+// `burst` tokens, and every hedge spends one. Over time hedges therefore stay
+// below `percent` percent of upstream calls, however slow the nodes get,
+// while a short run of slow answers can still be hedged from the savings.
+
+class HedgeBudget {
+  constructor({ percent = 10, burst = 10 } = {}) {
+    this.percent = percent;
+    this.burst = burst;
+    this.credit = 0; // In hundredths of a token, so sums stay exact
+    this.calls = 0;
+    this.spent = 0;
+    this.denied = 0; // Hedges not sent for lack of budget
+  }
+
+  recordCall() {
+    this.calls++;
+    this.credit = Math.min(this.burst * 100, this.credit + this.percent);
+  }
+
+  // Spend a token for one hedge; false when the budget is used up
+  take() {
+    if (this.credit < 100) {
+      this.denied++;
+      return false;
+    }
+    this.credit -= 100;
+    this.spent++;
+    return true;
+  }
+
+  getStats() {
+    return {
+      percent: this.percent,
+      tokens: this.credit / 100,
+      calls: this.calls,
+      hedges: this.spent,
+      denied: this.denied,
+    };
+  }
+}
+
+module.exports = { HedgeBudget };
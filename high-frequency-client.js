@@ -12,13 +12,12 @@ class HighFrequencySteemClient {
     this.url = url;
     this.ws = null;
     this.messageId = 1;
-    this.subscriptions = new Set();
+    this.subscriptions = new Map(); // topic -> subscription id
     this.lastBlockNumber = null;
     this.requestCount = 0;
     this.subscriptionCount = 0;
     this.startTime = Date.now();
     this.callbacks = new Map();
-    this.subscribedTo = new Set();
     this.isConnected = false;
     this.heartbeatInterval = null;
     this.reconnectTimeout = null;
@@ -64,7 +63,7 @@ class HighFrequencySteemClient {
       const data = JSON.parse(message);
       
       // Handle subscription updates
-      if (data.type === 'subscription') {
+      if (data.type === 'subscription_update') {
         this.handleSubscriptionUpdate(data);
         return;
       }
@@ -105,17 +104,18 @@ class HighFrequencySteemClient {
         
       case 'block_headers':
         console.log('New Block Header:', {
-          block_id: message.data.block_id,
-          previous: message.data.previous,
-          timestamp: message.data.timestamp,
-          witness: message.data.witness
+          block_num: message.data.blockNumber,
+          previous: message.data.header.previous,
+          timestamp: message.data.header.timestamp,
+          witness: message.data.header.witness
         });
         break;
         
       case 'operations':
         console.log('Operations Update:', {
-          count: message.data.length,
-          types: [...new Set(message.data.map(op => op[0]))],
+          block_num: message.data.blockNumber,
+          count: message.data.operations.length,
+          types: [...new Set(message.data.operations.map(entry => entry.op[0]))],
           timestamp: new Date().toISOString()
         });
         break;
@@ -129,8 +129,9 @@ class HighFrequencySteemClient {
         
       case 'blocks':
         console.log('Full Block Update:', {
-          block_num: message.data.block_num || 'unknown',
-          transaction_count: message.data.transactions?.length || 0,
+          block_num: message.data.blockNumber,
+          block_id: message.data.block.block_id,
+          transaction_count: message.data.block.transactions?.length || 0,
           timestamp: new Date().toISOString()
         });
         break;
@@ -166,55 +167,61 @@ class HighFrequencySteemClient {
     });
   }
 
-  // Subscription methods
+  // Subscription methods. The server answers subscribe with a subscription
+  // id, which is needed to unsubscribe again.
+  async subscribe(topic, options = {}) {
+    const result = await this.sendRequest('subscribe', [topic, options]);
+    this.subscriptions.set(topic, result.subscription_id);
+    return result;
+  }
+
+  async unsubscribe(topic) {
+    const subscriptionId = this.subscriptions.get(topic);
+    if (!subscriptionId) {
+      return { unsubscribed: false, type: topic };
+    }
+    this.subscriptions.delete(topic);
+    return this.sendRequest('unsubscribe', [subscriptionId]);
+  }
+
   subscribeToGlobalProperties() {
-    this.subscribedTo.add('global_properties');
-    return this.sendRequest('subscribe', ['global_properties']);
+    return this.subscribe('global_properties');
   }
 
   subscribeToBlocks() {
-    this.subscribedTo.add('blocks');
-    return this.sendRequest('subscribe', ['blocks']);
+    return this.subscribe('blocks');
   }
 
   subscribeToBlockHeaders() {
-    this.subscribedTo.add('block_headers');
-    return this.sendRequest('subscribe', ['block_headers']);
+    return this.subscribe('block_headers');
   }
 
   subscribeToOperations() {
-    this.subscribedTo.add('operations');
-    return this.sendRequest('subscribe', ['operations']);
+    return this.subscribe('operations');
   }
 
   subscribeToWitnesses() {
-    this.subscribedTo.add('witnesses');
-    return this.sendRequest('subscribe', ['witnesses']);
+    return this.subscribe('witnesses');
   }
 
   unsubscribeFromGlobalProperties() {
-    this.subscribedTo.delete('global_properties');
-    return this.sendRequest('unsubscribe', ['global_properties']);
+    return this.unsubscribe('global_properties');
   }
 
   unsubscribeFromBlocks() {
-    this.subscribedTo.delete('blocks');
-    return this.sendRequest('unsubscribe', ['blocks']);
+    return this.unsubscribe('blocks');
   }
 
   unsubscribeFromBlockHeaders() {
-    this.subscribedTo.delete('block_headers');
-    return this.sendRequest('unsubscribe', ['block_headers']);
+    return this.unsubscribe('block_headers');
   }
 
   unsubscribeFromOperations() {
-    this.subscribedTo.delete('operations');
-    return this.sendRequest('unsubscribe', ['operations']);
+    return this.unsubscribe('operations');
   }
 
   unsubscribeFromWitnesses() {
-    this.subscribedTo.delete('witnesses');
-    return this.sendRequest('unsubscribe', ['witnesses']);
+    return this.unsubscribe('witnesses');
   }
 
   // High-frequency polling methods
@@ -274,7 +281,7 @@ class HighFrequencySteemClient {
       subscription_updates: this.subscriptionCount,
       requests_per_second: (this.requestCount / runtime).toFixed(2),
       updates_per_second: (this.subscriptionCount / runtime).toFixed(2),
-      active_subscriptions: Array.from(this.subscribedTo),
+      active_subscriptions: Array.from(this.subscriptions.keys()),
       connected: this.isConnected
     };
   }
@@ -0,0 +1,125 @@
+// Leveled, structured logging.
+//
+// Each line has a level (error, warn, info or debug), a message and fields,
+// written as text or as one JSON object per line. child() returns a logger
+// that adds fields (connectionId, requestId) to every line. Fields named in
+// `redact` are masked at any depth, and lines carrying an `event` listed in
+// `sampling` are written once every N occurrences.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+class Logger {
+  constructor({
+    level = "info",
+    format = "text",
+    redact = [],
+    sampling = {},
+    output = writeToConsole,
+  } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+    this.format = format;
+    this.redact = new Set(redact);
+    this.sampling = sampling;
+    this.output = output;
+    this.sampleCounts = new Map(); // event -> occurrences, shared by children
+    this.fields = {};
+  }
+
+  child(fields) {
+    const child = new Logger(this);
+    child.sampleCounts = this.sampleCounts;
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const every = fields.event ? this.sampling[fields.event] : undefined;
+    if (every > 1) {
+      const count = (this.sampleCounts.get(fields.event) || 0) + 1;
+      this.sampleCounts.set(fields.event, count);
+      if ((count - 1) % every !== 0) return;
+      fields = { ...fields, sampled: every };
+    }
+
+    const entry = this.clean({ ...this.fields, ...fields }, 0);
+    const time = new Date().toISOString();
+    this.output(
+      level,
+      this.format === "json"
+        ? JSON.stringify({ time, level, msg: message, ...entry })
+        : formatText(time, level, message, entry)
+    );
+  }
+
+  // Copy of a field value with redacted keys masked and errors reduced to
+  // their message
+  clean(value, depth) {
+    if (value instanceof Error) return value.message;
+    if (!value || typeof value !== "object") return value;
+    if (depth >= MAX_DEPTH) return "[Object]";
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.clean(item, depth + 1));
+    }
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      copy[key] = this.redact.has(key) ? REDACTED : this.clean(item, depth + 1);
+    });
+    return copy;
+  }
+}
+
+// "2024-01-01T00:00:00.000Z INFO Message key=value other="two words""
+function formatText(time, level, message, fields) {
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatTextValue(value)}`);
+  return [time, level.toUpperCase(), message, ...pairs].join(" ");
+}
+
+function formatTextValue(value) {
+  if (typeof value === "string" && /^[^\s"=]+$/.test(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+function writeToConsole(level, line) {
+  if (level === "error") {
+    console.error(line);
+  } else if (level === "warn") {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = { Logger, LEVELS };
@@ -0,0 +1,474 @@
+// Declarative allowlist of Steem API methods proxied by the bridge.
+//
+// Each entry names an `api.method` and may declare:
+//   params  - schema checked before the upstream call
+//             { type: "array", minItems, items: [type, ...], defaults: [...], message }
+//             { type: "object", required: [key, ...], message }
+//             Item types: "any", "string", "number", "integer", "boolean",
+//             "array", "object". `defaults` fills missing positional params.
+//   cache   - { namespace, ttl, key } where namespace is one of the server's
+//             cache maps (blockHeaders, blocks, operations, market, account,
+//             other), ttl overrides the namespace default in ms, and key is a
+//             template such as "block_{0}" built from positional params
+//   handler - name of a SteemWebSocketServer method serving the call instead
+//             of the generic passthrough (for data with bespoke caching)
+//   batch   - { names, results, key } for account lookups taking a list of
+//             names: names is the param holding the list (positional index or
+//             object key), results the response field holding the list (omit
+//             for a bare array) and key the field naming the account in each
+//             result. Concurrent single-name lookups are merged upstream.
+//   volatile - true when the answer changes with nearly every block, so
+//             nodes cannot be expected to agree on it. Such methods, and
+//             those with a handler, cannot be verified (see isVerifiable).
+//
+// Bare method names (e.g. "get_block") resolve to the first entry with that
+// method name, so list the preferred API first when a method exists in several.
+
+const CACHE_NAMESPACES = [
+  "blockHeaders",
+  "blocks",
+  "operations",
+  "market",
+  "account",
+  "other",
+];
+
+const PARAM_TYPES = [
+  "any",
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "array",
+  "object",
+];
+
+const DEFAULT_METHODS = [
+  // Chain state
+  {
+    name: "condenser_api.get_dynamic_global_properties",
+    handler: "getDynamicGlobalProperties",
+    volatile: true,
+  },
+  {
+    name: "condenser_api.get_active_witnesses",
+    handler: "getActiveWitnesses",
+    volatile: true,
+  },
+  {
+    name: "condenser_api.get_config",
+    cache: { namespace: "other", key: "config" },
+  },
+  {
+    name: "condenser_api.get_chain_properties",
+    cache: { namespace: "other", key: "chain_properties" },
+  },
+  {
+    name: "condenser_api.get_current_median_history_price",
+    cache: { namespace: "other", key: "median_history_price" },
+  },
+  {
+    name: "condenser_api.get_feed_history",
+    cache: { namespace: "other", key: "feed_history" },
+  },
+  {
+    name: "condenser_api.get_reward_fund",
+    params: {
+      type: "array",
+      minItems: 1,
+      message: "Reward fund name required",
+    },
+    cache: { namespace: "other", key: "reward_fund_{0}" },
+  },
+
+  // Blocks and transactions
+  {
+    name: "condenser_api.get_block_header",
+    params: { type: "array", minItems: 1, message: "Block number is required" },
+    cache: { namespace: "blockHeaders", key: "header_{0}" },
+  },
+  {
+    name: "condenser_api.get_block",
+    params: { type: "array", minItems: 1, message: "Block number is required" },
+    cache: { namespace: "blocks", key: "block_{0}" },
+  },
+  {
+    name: "condenser_api.get_ops_in_block",
+    params: {
+      type: "array",
+      minItems: 1,
+      items: ["any", "boolean"],
+      defaults: [null, false],
+      message: "Block number is required",
+    },
+    cache: { namespace: "operations", key: "ops_{0}_{1}" },
+  },
+  {
+    name: "condenser_api.get_transaction",
+    params: {
+      type: "array",
+      minItems: 1,
+      items: ["string"],
+      message: "Transaction ID is required",
+    },
+  },
+
+  // Accounts
+  {
+    name: "condenser_api.get_accounts",
+    params: {
+      type: "array",
+      minItems: 1,
+      items: ["array"],
+      message: "Array of account names required",
+    },
+    cache: { namespace: "account" },
+    batch: { names: 0, key: "name" },
+  },
+  {
+    name: "condenser_api.lookup_accounts",
+    params: { type: "array", minItems: 2, items: ["string", "integer"] },
+    cache: { namespace: "account" },
+  },
+  {
+    name: "condenser_api.get_account_history",
+    params: { type: "array", minItems: 1, message: "Account name required" },
+  },
+  {
+    name: "condenser_api.get_vesting_delegations",
+    params: { type: "array", minItems: 1, message: "Account name required" },
+  },
+  {
+    name: "condenser_api.get_follow_count",
+    params: { type: "array", minItems: 1, items: ["string"] },
+    cache: { namespace: "account" },
+  },
+  {
+    name: "condenser_api.get_followers",
+    params: { type: "array", minItems: 4 },
+    cache: { namespace: "account" },
+  },
+  {
+    name: "condenser_api.get_following",
+    params: { type: "array", minItems: 4 },
+    cache: { namespace: "account" },
+  },
+  {
+    name: "database_api.find_accounts",
+    params: {
+      type: "object",
+      required: ["accounts"],
+      message: "accounts parameter required",
+    },
+    batch: { names: "accounts", results: "accounts", key: "name" },
+  },
+  {
+    name: "rc_api.find_rc_accounts",
+    params: {
+      type: "object",
+      required: ["accounts"],
+      message: "accounts parameter required",
+    },
+    cache: { namespace: "account", ttl: 3000 }, // RC changes frequently
+    batch: { names: "accounts", results: "rc_accounts", key: "account" },
+  },
+
+  // Witnesses and governance
+  {
+    name: "condenser_api.get_witnesses_by_vote",
+  },
+  {
+    name: "condenser_api.get_witness_by_account",
+    params: { type: "array", minItems: 1, items: ["string"] },
+    cache: { namespace: "other" },
+  },
+  {
+    name: "database_api.list_proposals",
+    params: { type: "object", required: ["start", "limit", "order"] },
+    cache: { namespace: "other" },
+  },
+
+  // Content
+  {
+    name: "condenser_api.get_content",
+    params: { type: "array", minItems: 2, items: ["string", "string"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_content_replies",
+    params: { type: "array", minItems: 2, items: ["string", "string"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_discussions_by_created",
+    params: { type: "array", minItems: 1, items: ["object"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_discussions_by_trending",
+    params: { type: "array", minItems: 1, items: ["object"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_discussions_by_hot",
+    params: { type: "array", minItems: 1, items: ["object"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_discussions_by_blog",
+    params: { type: "array", minItems: 1, items: ["object"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+  {
+    name: "condenser_api.get_discussions_by_feed",
+    params: { type: "array", minItems: 1, items: ["object"] },
+    cache: { namespace: "other", ttl: 3000 },
+  },
+
+  // Internal market
+  {
+    name: "market_history_api.get_ticker",
+    cache: { namespace: "market" },
+    volatile: true,
+  },
+  {
+    name: "market_history_api.get_order_book",
+    cache: { namespace: "market" },
+    volatile: true,
+  },
+  {
+    name: "market_history_api.get_recent_trades",
+    cache: { namespace: "market" },
+    volatile: true,
+  },
+  {
+    name: "market_history_api.get_market_history",
+    params: {
+      type: "array",
+      minItems: 3,
+      message: "Bucket seconds, start, and end time required",
+    },
+  },
+  {
+    name: "condenser_api.get_open_orders",
+    params: { type: "array", minItems: 1, items: ["string"] },
+    cache: { namespace: "market" },
+  },
+];
+
+class MethodRegistry {
+  constructor(entries = DEFAULT_METHODS) {
+    this.entries = new Map(); // "api.method" -> entry
+    this.aliases = new Map(); // "method" -> first entry with that method name
+    entries.forEach((entry) => this.add(entry));
+  }
+
+  // Validate and register one entry; throws on malformed configuration
+  add(entry) {
+    if (!entry || typeof entry.name !== "string") {
+      throw new Error("Method registry entry requires a name");
+    }
+    if (!/^[a-z_]+\.[a-z0-9_]+$/.test(entry.name)) {
+      throw new Error(
+        `Invalid method name "${entry.name}" (expected "api.method")`
+      );
+    }
+    if (this.entries.has(entry.name)) {
+      throw new Error(`Duplicate method registry entry: ${entry.name}`);
+    }
+
+    const schema = entry.params;
+    if (schema) {
+      if (schema.type !== "array" && schema.type !== "object") {
+        throw new Error(
+          `${entry.name}: params.type must be "array" or "object"`
+        );
+      }
+      (schema.items || []).forEach((type) => {
+        if (!PARAM_TYPES.includes(type)) {
+          throw new Error(`${entry.name}: unknown param type "${type}"`);
+        }
+      });
+    }
+
+    if (entry.cache) {
+      if (!CACHE_NAMESPACES.includes(entry.cache.namespace)) {
+        throw new Error(
+          `${entry.name}: unknown cache namespace "${entry.cache.namespace}"`
+        );
+      }
+      if (
+        entry.cache.ttl !== undefined &&
+        !(Number.isFinite(entry.cache.ttl) && entry.cache.ttl >= 0)
+      ) {
+        throw new Error(`${entry.name}: cache.ttl must be a positive number`);
+      }
+    }
+
+    if (entry.batch) {
+      const { names, results, key } = entry.batch;
+      const positional = !schema || schema.type === "array";
+      if (
+        positional
+          ? !Number.isInteger(names) || names < 0
+          : typeof names !== "string"
+      ) {
+        throw new Error(
+          `${entry.name}: batch.names must be a param ${
+            positional ? "index" : "key"
+          }`
+        );
+      }
+      if (typeof key !== "string") {
+        throw new Error(`${entry.name}: batch.key must be a string`);
+      }
+      if (results !== undefined && typeof results !== "string") {
+        throw new Error(`${entry.name}: batch.results must be a string`);
+      }
+    }
+
+    if (entry.volatile !== undefined && typeof entry.volatile !== "boolean") {
+      throw new Error(`${entry.name}: volatile must be a boolean`);
+    }
+
+    const [api, method] = entry.name.split(".");
+    const normalized = { ...entry, api, method };
+    this.entries.set(entry.name, normalized);
+    if (!this.aliases.has(method)) {
+      this.aliases.set(method, normalized);
+    }
+  }
+
+  // Look up "api.method" or a bare method name
+  resolve(name) {
+    return this.entries.get(name) || this.aliases.get(name) || null;
+  }
+
+  // Whether nodes can be expected to give the same answer to a call
+  isVerifiable(entry) {
+    return !entry.handler && !entry.volatile;
+  }
+
+  names() {
+    return Array.from(this.entries.keys());
+  }
+
+  // Returns an error message, or null when params satisfy the entry's schema
+  validateParams(entry, params) {
+    const schema = entry.params;
+    if (!schema) return null;
+
+    const fail = (detail) => schema.message || `${entry.name}: ${detail}`;
+
+    if (schema.type === "array") {
+      if (!Array.isArray(params)) return fail("params must be an array");
+
+      for (let i = 0; i < (schema.minItems || 0); i++) {
+        if (params[i] === undefined || params[i] === null || params[i] === "") {
+          return fail(`expected at least ${schema.minItems} params`);
+        }
+      }
+
+      const items = schema.items || [];
+      for (let i = 0; i < items.length; i++) {
+        if (params[i] !== undefined && !matchesType(params[i], items[i])) {
+          return fail(`param ${i} must be of type ${items[i]}`);
+        }
+      }
+      return null;
+    }
+
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      return fail("params must be an object");
+    }
+    const missing = (schema.required || []).find((key) => !(key in params));
+    return missing ? fail(`missing required param "${missing}"`) : null;
+  }
+
+  // Fill missing positional params from the schema defaults
+  applyDefaults(entry, params) {
+    const defaults = entry.params && entry.params.defaults;
+    if (!defaults || !Array.isArray(params)) return params;
+
+    const result = params.slice();
+    defaults.forEach((value, i) => {
+      if (result[i] === undefined && value !== null) {
+        result[i] = value;
+      }
+    });
+    return result;
+  }
+
+  // The account name when params look up exactly one account and nothing
+  // else, otherwise null (such calls are passed through unbatched)
+  batchName(entry, params) {
+    if (!entry.batch) return null;
+    const { names } = entry.batch;
+
+    let list;
+    if (Array.isArray(params)) {
+      if (params.length !== names + 1) return null;
+      list = params[names];
+    } else {
+      if (!params || Object.keys(params).length !== 1) return null;
+      list = params[names];
+    }
+    return Array.isArray(list) &&
+      list.length === 1 &&
+      typeof list[0] === "string"
+      ? list[0]
+      : null;
+  }
+
+  // Params for one upstream lookup of several names
+  batchParams(entry, names) {
+    const { names: param } = entry.batch;
+    if (typeof param === "string") {
+      return { [param]: names };
+    }
+    const params = [];
+    params[param] = names;
+    return params;
+  }
+
+  // Extract the result list from an upstream response
+  batchItems(entry, response) {
+    const { results } = entry.batch;
+    return (results ? response && response[results] : response) || [];
+  }
+
+  // Shape one looked-up item (or null) like a single-name response
+  batchResult(entry, item) {
+    const items = item ? [item] : [];
+    const { results } = entry.batch;
+    return results ? { [results]: items } : items;
+  }
+
+  cacheKey(entry, params) {
+    const template = entry.cache && entry.cache.key;
+    if (!template) {
+      return `${entry.name}_${JSON.stringify(params)}`;
+    }
+    return template.replace(/\{(\d+)\}/g, (match, index) => {
+      const value = Array.isArray(params) ? params[index] : undefined;
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "any":
+      return true;
+    case "integer":
+      return Number.isInteger(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+module.exports = { MethodRegistry, DEFAULT_METHODS, CACHE_NAMESPACES };
@@ -0,0 +1,212 @@
+// Prometheus metrics in the text exposition format.
+//
+// A registry of counters, gauges and histograms, each with optional labels.
+// Any metric may take a `collect` callback, run at scrape time, for values
+// the bridge already tracks elsewhere (subscriber counts, queue depth); it
+// replaces the metric's series on every scrape.
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect || null;
+    this.series = new Map(); // label values key -> { labels, ... }
+  }
+
+  // Series for a label set, created on first use
+  get(labels) {
+    const values = this.labelNames.map((label) => {
+      if (labels[label] === undefined) {
+        throw new Error(`${this.name}: missing label "${label}"`);
+      }
+      return String(labels[label]);
+    });
+    const key = values.join("\u0000");
+
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.createSeries(
+        Object.fromEntries(
+          this.labelNames.map((label, index) => [label, values[index]])
+        )
+      );
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    // Collected values are a snapshot; series that are gone (e.g. a removed
+    // node) are not reported
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    this.series.forEach((series) => lines.push(...this.renderSeries(series)));
+    return lines.join("\n");
+  }
+
+  renderSeries(series) {
+    return [
+      `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`,
+    ];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`${this.name}: counters only go up`);
+    }
+    this.get(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  createSeries(labels) {
+    return {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Observe the seconds elapsed since a Date.now() timestamp
+  observeSince(labels, startTime) {
+    this.observe(labels, (Date.now() - startTime) / 1000);
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map(
+        (bound, index) =>
+          `${this.name}_bucket${formatLabels({
+            ...labels,
+            le: formatValue(bound),
+          })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    // A metric without labels is reported from the start, at zero
+    if (metric.labelNames.length === 0) {
+      metric.get({});
+    }
+    return metric;
+  }
+
+  // Text exposition format, version 0.0.4
+  render() {
+    return (
+      Array.from(this.metrics.values())
+        .map((metric) => metric.render())
+        .join("\n") + "\n"
+    );
+  }
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([label, value]) => `${label}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+module.exports = { MetricsRegistry };
@@ -0,0 +1,65 @@
+// The API methods one upstream node serves.
+//
+// Public nodes enable different API plugins (market_history_api, rc_api,
+// account_history_api, ...). The method list comes from the node's
+// jsonrpc.get_methods. A node without one is assumed to serve everything
+// until it answers a call with "could not find API/method"; such answers
+// are remembered until refresh() starts over from a new method list.
+
+const NOT_FOUND =
+  /could not find (api|method)|no method with name|method not found/i;
+
+class NodeCapabilities {
+  constructor() {
+    this.methods = null; // Set of "api.method", or null when unknown
+    this.missing = new Set(); // "api" or "api.method" the node said it lacks
+    this.refreshedAt = null;
+  }
+
+  // Whether the node may serve `name` ("api.method")
+  supports(name) {
+    const [api] = name.split(".");
+    if (this.missing.has(api) || this.missing.has(name)) return false;
+    return this.methods === null || this.methods.has(name);
+  }
+
+  // Replace what is known with the node's method list (null when the node
+  // could not list its methods)
+  refresh(methods) {
+    this.methods = methods ? new Set(methods) : null;
+    this.missing.clear();
+    this.refreshedAt = Date.now();
+  }
+
+  // Learn from a "not found" answer to a call of `name`. Returns false when
+  // the error is not one.
+  recordNotFound(name, error) {
+    if (!isNotFound(error)) return false;
+    const [api] = name.split(".");
+    this.missing.add(/could not find api/i.test(error.message) ? api : name);
+    return true;
+  }
+
+  describe() {
+    const apis = this.methods
+      ? Array.from(
+          new Set(Array.from(this.methods, (name) => name.split(".")[0]))
+        )
+      : null;
+    return {
+      apis: apis && apis.filter((api) => !this.missing.has(api)).sort(),
+      methods: this.methods ? this.methods.size : null,
+      missing: Array.from(this.missing).sort(),
+      refreshedAt: this.refreshedAt
+        ? new Date(this.refreshedAt).toISOString()
+        : null,
+    };
+  }
+}
+
+// Whether a node's error says it does not serve the called API or method
+function isNotFound(error) {
+  return !!error && error.name === "RPCError" && NOT_FOUND.test(error.message);
+}
+
+module.exports = { NodeCapabilities, isNotFound };
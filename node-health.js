@@ -0,0 +1,172 @@
+// Health and score of one upstream node.
+//
+// Every call to the node and every health probe adds a sample (success and
+// latency) to a rolling window, from which latency percentiles and the error
+// rate are computed. Probes also record the node's head block so nodes that
+// fall behind the network can be taken out of rotation even though they
+// answer quickly.
+//
+// A node is healthy while its circuit breaker is closed and it has no
+// `problem`:
+//   unreachable  its last probe failed
+//   lagging      its head is more than maxHeadLagBlocks behind the network
+// A successful call or probe clears "unreachable"; only a probe that finds
+// the node caught up clears "lagging". Calls and probes also feed the
+// breaker (see circuit-breaker.js). The methods the node serves are kept in
+// `capabilities` (see node-capabilities.js).
+
+const { CircuitBreaker } = require("./circuit-breaker");
+const { NodeCapabilities } = require("./node-capabilities");
+
+class NodeHealth {
+  constructor(url, { sampleSize = 100, breaker } = {}) {
+    this.url = url;
+    this.sampleSize = sampleSize;
+    this.breaker = new CircuitBreaker(breaker);
+    this.capabilities = new NodeCapabilities();
+    this.enabled = true;
+    this.problem = null;
+    this.lastError = null;
+    this.lastErrorMessage = null;
+    this.errorCount = 0;
+    this.disagreements = 0; // Verified calls the node answered differently
+    this.lastSuccess = null;
+    this.avgResponseTime = 0;
+    this.totalRequests = 0;
+    this.samples = []; // Most recent last: { ok, ms }
+    this.headBlock = null;
+    this.headLag = null;
+    this.lastProbe = null;
+  }
+
+  get healthy() {
+    return this.problem === null && this.breaker.state === "closed";
+  }
+
+  // A call answered by the node
+  recordSuccess(ms) {
+    this.totalRequests++;
+    this.avgResponseTime = Math.round(
+      (this.avgResponseTime * (this.totalRequests - 1) + ms) /
+        this.totalRequests
+    );
+    this.answered(ms);
+  }
+
+  // A call the node did not answer (network error, timeout, HTTP error)
+  recordFailure(error, ms) {
+    this.errorCount++;
+    this.lastError = Date.now();
+    this.lastErrorMessage = error ? error.message : null;
+    this.addSample(false, ms);
+    this.breaker.recordFailure();
+  }
+
+  // The node's answer to a verified call differed from what most of the
+  // other nodes answered. Counts as a failed call.
+  recordDisagreement(method) {
+    this.disagreements++;
+    this.recordFailure(
+      new Error(`Answer to ${method} differed from other nodes`),
+      0
+    );
+  }
+
+  recordProbe(headBlock, ms) {
+    this.lastProbe = Date.now();
+    this.headBlock = headBlock;
+    this.answered(ms);
+  }
+
+  recordProbeFailure(error, ms) {
+    this.lastProbe = Date.now();
+    this.problem = "unreachable";
+    this.recordFailure(error, ms);
+  }
+
+  // Compare the node's head with the highest head seen across nodes
+  updateLag(networkHead, maxHeadLagBlocks) {
+    if (this.headBlock === null || networkHead === null) return;
+    this.headLag = networkHead - this.headBlock;
+    if (this.headLag > maxHeadLagBlocks) {
+      if (this.problem !== "unreachable") this.problem = "lagging";
+    } else if (this.problem === "lagging") {
+      this.problem = null;
+    }
+  }
+
+  // The node answered a call or probe
+  answered(ms) {
+    this.lastSuccess = Date.now();
+    this.addSample(true, ms);
+    if (this.problem !== "lagging") this.problem = null;
+    this.breaker.recordSuccess();
+  }
+
+  addSample(ok, ms) {
+    this.samples.push({ ok, ms });
+    if (this.samples.length > this.sampleSize) {
+      this.samples.shift();
+    }
+  }
+
+  // Latency in ms below which `percentile` percent of recent successful
+  // samples fall, or null without samples
+  latencyPercentile(percentile) {
+    const latencies = this.samples
+      .filter((sample) => sample.ok)
+      .map((sample) => sample.ms)
+      .sort((a, b) => a - b);
+    if (latencies.length === 0) return null;
+    const rank = Math.ceil((percentile / 100) * latencies.length);
+    return latencies[Math.max(rank - 1, 0)];
+  }
+
+  errorRate() {
+    if (this.samples.length === 0) return 0;
+    const failures = this.samples.filter((sample) => !sample.ok).length;
+    return failures / this.samples.length;
+  }
+
+  // Expected ms to get an answer: p95 latency divided by the share of calls
+  // that succeed. Lower is better; null until the node has answered.
+  score() {
+    const p95 = this.latencyPercentile(95);
+    if (p95 === null) return null;
+    return Math.round(p95 / Math.max(1 - this.errorRate(), 0.01));
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      healthy: this.healthy,
+      problem: this.problem,
+      breaker: this.breaker.describe(),
+      capabilities: this.capabilities.describe(),
+      score: this.score(),
+      headBlock: this.headBlock,
+      headLag: this.headLag,
+      latencyMs: {
+        p50: this.latencyPercentile(50),
+        p95: this.latencyPercentile(95),
+        p99: this.latencyPercentile(99),
+      },
+      errorRate: Math.round(this.errorRate() * 1000) / 1000,
+      samples: this.samples.length,
+      errorCount: this.errorCount,
+      disagreements: this.disagreements,
+      avgResponseTime: this.avgResponseTime,
+      totalRequests: this.totalRequests,
+      lastError: toISOString(this.lastError),
+      lastErrorMessage: this.lastErrorMessage,
+      lastSuccess: toISOString(this.lastSuccess),
+      lastProbe: toISOString(this.lastProbe),
+    };
+  }
+}
+
+function toISOString(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+module.exports = { NodeHealth };
@@ -0,0 +1,161 @@
+// Server-side filters for operation subscriptions.
+//
+// A filter may combine any of the following; all given criteria must match,
+// and any value within a list matches:
+//   op_types        - operation names, e.g. ["transfer", "custom_json"]
+//                     (the "_operation" suffix is optional)
+//   accounts        - accounts involved in the op (from, to, author, voter, ...)
+//   custom_json_ids - ids of custom_json operations, e.g. ["follow"]
+//   virtual         - true for virtual ops only, false for non-virtual only
+
+// Operation fields that name an involved account
+const ACCOUNT_FIELDS = [
+  "account",
+  "author",
+  "parent_author",
+  "voter",
+  "from",
+  "to",
+  "from_account",
+  "to_account",
+  "owner",
+  "creator",
+  "new_account_name",
+  "delegator",
+  "delegatee",
+  "producer",
+  "curator",
+  "comment_author",
+  "publisher",
+  "witness",
+  "proxy",
+  "agent",
+  "receiver",
+  "benefactor",
+  "current_owner",
+  "open_owner",
+  "seller",
+  "who",
+  "account_to_recover",
+  "new_recovery_account",
+  "recovery_account",
+  "reset_account",
+  "account_to_reset",
+  "proposal_owner",
+];
+
+// Operation fields holding lists of accounts
+const ACCOUNT_LIST_FIELDS = ["required_auths", "required_posting_auths"];
+
+const MAX_FILTER_VALUES = 100;
+
+// Validate a client-supplied filter and return a normalized copy with Sets
+// for fast lookups. Throws an Error describing the first invalid field.
+function normalizeOperationFilter(filter) {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("filter must be an object");
+  }
+
+  const known = ["op_types", "accounts", "custom_json_ids", "virtual"];
+  const unknown = Object.keys(filter).find((key) => !known.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown filter field "${unknown}"`);
+  }
+
+  const toSet = (field, mapValue = (value) => value) => {
+    const values = filter[field];
+    if (values === undefined) return null;
+    if (
+      !Array.isArray(values) ||
+      values.length === 0 ||
+      values.length > MAX_FILTER_VALUES ||
+      values.some((value) => typeof value !== "string" || value.length === 0)
+    ) {
+      throw new Error(
+        `${field} must be a list of 1 to ${MAX_FILTER_VALUES} strings`
+      );
+    }
+    return new Set(values.map(mapValue));
+  };
+
+  if (filter.virtual !== undefined && typeof filter.virtual !== "boolean") {
+    throw new Error("virtual must be a boolean");
+  }
+
+  return {
+    opTypes: toSet("op_types", (type) => type.replace(/_operation$/, "")),
+    accounts: toSet("accounts"),
+    customJsonIds: toSet("custom_json_ids"),
+    virtual: filter.virtual === undefined ? null : filter.virtual,
+  };
+}
+
+// Client-facing form of a normalized filter, e.g. for listing subscriptions
+function describeOperationFilter(filter) {
+  const fields = {
+    op_types: filter.opTypes,
+    accounts: filter.accounts,
+    custom_json_ids: filter.customJsonIds,
+  };
+  const description = {};
+  Object.entries(fields).forEach(([field, values]) => {
+    if (values) description[field] = Array.from(values);
+  });
+  if (filter.virtual !== null) description.virtual = filter.virtual;
+  return description;
+}
+
+// Accounts named by an operation payload
+function getInvolvedAccounts(payload) {
+  const accounts = [];
+  if (!payload || typeof payload !== "object") return accounts;
+
+  ACCOUNT_FIELDS.forEach((field) => {
+    if (typeof payload[field] === "string") {
+      accounts.push(payload[field]);
+    }
+  });
+  ACCOUNT_LIST_FIELDS.forEach((field) => {
+    if (Array.isArray(payload[field])) {
+      accounts.push(...payload[field]);
+    }
+  });
+  return accounts;
+}
+
+// Test one get_ops_in_block entry ({ op: [type, payload], virtual_op, ... })
+// against a normalized filter
+function matchesOperationFilter(entry, filter) {
+  const [rawType, payload] = (entry && entry.op) || [];
+  const type = String(rawType || "").replace(/_operation$/, "");
+
+  if (filter.virtual !== null && !!entry.virtual_op !== filter.virtual) {
+    return false;
+  }
+
+  if (filter.opTypes && !filter.opTypes.has(type)) {
+    return false;
+  }
+
+  if (filter.customJsonIds) {
+    if (type !== "custom_json" || !filter.customJsonIds.has(payload?.id)) {
+      return false;
+    }
+  }
+
+  if (filter.accounts) {
+    const involved = getInvolvedAccounts(payload);
+    if (!involved.some((account) => filter.accounts.has(account))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  normalizeOperationFilter,
+  describeOperationFilter,
+  matchesOperationFilter,
+  getInvolvedAccounts,
+};
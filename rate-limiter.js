@@ -0,0 +1,58 @@
+// Requests per minute for each client of the bridge.
+//
+// Clients are counted by a key (see SteemWebSocketServer#clientKey): an API
+// key's name, shared by all of its WebSocket connections and HTTP requests,
+// or the address of a client without a key. Each key gets a fixed one-minute
+// window from its first request; windows that have ended are dropped now and
+// then as new ones open.
+
+const WINDOW_MS = 60000;
+
+class RateLimiter {
+  constructor({ windowMs = WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.windows = new Map(); // key -> { count, startedAt }
+    this.prunedAt = Date.now();
+  }
+
+  // Count `count` requests for `key`; false when that takes it over `limit`
+  take(key, limit, count = 1, now = Date.now()) {
+    return this.add(key, count, now) <= limit;
+  }
+
+  // Count requests without a limit (e.g. the rest of an admitted batch);
+  // returns the key's count in the current window
+  add(key, count, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || now - window.startedAt >= this.windowMs) {
+      this.prune(now);
+      window = { count: 0, startedAt: now };
+      this.windows.set(key, window);
+    }
+    window.count += count;
+    return window.count;
+  }
+
+  // { count, resetAt } for a key's current window
+  usage(key, now = Date.now()) {
+    const window = this.windows.get(key);
+    if (!window || now - window.startedAt >= this.windowMs) {
+      return { count: 0, resetAt: now + this.windowMs };
+    }
+    return { count: window.count, resetAt: window.startedAt + this.windowMs };
+  }
+
+  prune(now = Date.now()) {
+    if (now - this.prunedAt < this.windowMs) return;
+    this.prunedAt = now;
+    this.windows.forEach((window, key) => {
+      if (now - window.startedAt >= this.windowMs) this.windows.delete(key);
+    });
+  }
+
+  clear() {
+    this.windows.clear();
+  }
+}
+
+module.exports = { RateLimiter };
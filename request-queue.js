@@ -0,0 +1,158 @@
+// Bounded worker pool for client requests.
+//
+// Requests wait in one of two lanes: "fast" for requests that can be answered
+// without an upstream call (cache hits, subscription management) and "normal"
+// for everything else. Each lane runs up to `concurrency` requests at a time,
+// so slow upstream calls never hold up cheap ones. Within a lane clients are
+// served round-robin and no client runs more than `perClientConcurrency`
+// requests at once, so one chatty socket cannot starve the others. Handler
+// errors are logged through `logger` (see logger.js).
+
+const { Logger } = require("./logger");
+
+const LANES = ["fast", "normal"];
+
+class RequestQueue {
+  constructor({
+    handler,
+    concurrency = 10,
+    perClientConcurrency = 4,
+    maxSize = 1000,
+    logger = new Logger(),
+  }) {
+    [
+      ["concurrency", concurrency],
+      ["perClientConcurrency", perClientConcurrency],
+      ["maxSize", maxSize],
+    ].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+    });
+
+    this.handler = handler; // async (client, item) => void
+    this.concurrency = concurrency;
+    this.perClientConcurrency = perClientConcurrency;
+    this.maxSize = maxSize;
+    this.logger = logger;
+
+    // Per lane: Map<client, [{ item, queuedAt }]>. Map order is the
+    // round-robin rotation; a served client moves to the back.
+    this.lanes = { fast: new Map(), normal: new Map() };
+    this.running = { fast: 0, normal: 0 };
+    this.clientRunning = new Map(); // client -> requests in flight
+    this.size = 0;
+
+    this.stats = { processed: 0, totalWaitMs: 0, maxWaitMs: 0 };
+  }
+
+  // Queue an item; returns false when the queue is full
+  push(client, item, lane = "normal") {
+    if (!this.lanes[lane]) {
+      throw new Error(`Unknown queue lane: ${lane}`);
+    }
+    if (this.size >= this.maxSize) {
+      return false;
+    }
+
+    const queue = this.lanes[lane];
+    if (!queue.has(client)) {
+      queue.set(client, []);
+    }
+    queue.get(client).push({ item, queuedAt: Date.now() });
+    this.size++;
+
+    this.drain();
+    return true;
+  }
+
+  // Drop everything a client still has waiting (e.g. on disconnect)
+  removeClient(client) {
+    LANES.forEach((lane) => {
+      const pending = this.lanes[lane].get(client);
+      if (pending) {
+        this.size -= pending.length;
+        this.lanes[lane].delete(client);
+      }
+    });
+  }
+
+  // Start queued requests while their lane has free workers
+  drain() {
+    LANES.forEach((lane) => {
+      while (this.running[lane] < this.concurrency) {
+        const next = this.takeNext(lane);
+        if (!next) break;
+        this.run(lane, next);
+      }
+    });
+  }
+
+  takeNext(lane) {
+    const queue = this.lanes[lane];
+    for (const [client, pending] of queue) {
+      const running = this.clientRunning.get(client) || 0;
+      if (running >= this.perClientConcurrency) continue;
+
+      const entry = pending.shift();
+      queue.delete(client);
+      if (pending.length > 0) {
+        queue.set(client, pending);
+      }
+      this.size--;
+      return { client, ...entry };
+    }
+    return null;
+  }
+
+  async run(lane, { client, item, queuedAt }) {
+    const waitMs = Date.now() - queuedAt;
+    this.stats.processed++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+
+    this.running[lane]++;
+    this.clientRunning.set(client, (this.clientRunning.get(client) || 0) + 1);
+
+    try {
+      await this.handler(client, item);
+    } catch (error) {
+      this.logger.error("Queued request failed", { lane, error });
+    } finally {
+      this.running[lane]--;
+      const running = this.clientRunning.get(client) - 1;
+      if (running > 0) {
+        this.clientRunning.set(client, running);
+      } else {
+        this.clientRunning.delete(client);
+      }
+      this.drain();
+    }
+  }
+
+  getStats() {
+    const depth = {};
+    LANES.forEach((lane) => {
+      depth[lane] = 0;
+      this.lanes[lane].forEach((pending) => (depth[lane] += pending.length));
+    });
+
+    return {
+      depth: this.size,
+      depthByLane: depth,
+      inFlight: this.running.fast + this.running.normal,
+      inFlightByLane: { ...this.running },
+      concurrency: this.concurrency,
+      perClientConcurrency: this.perClientConcurrency,
+      maxSize: this.maxSize,
+      processed: this.stats.processed,
+      avgWaitMs:
+        this.stats.processed > 0
+          ? Math.round(this.stats.totalWaitMs / this.stats.processed)
+          : 0,
+      maxWaitMs: this.stats.maxWaitMs,
+    };
+  }
+}
+
+module.exports = { RequestQueue };
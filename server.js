@@ -1,2 +1,42 @@
 // Steem WebSocket Bridge v2 - Main Server Entry Point
-require('./steem-bridge.js');
+//
+// Starts a bridge configured from STEEM_BRIDGE_CONFIG and STEEM_BRIDGE_*
+// environment variables (see config.js), stops it cleanly on SIGINT/SIGTERM
+// and reloads the API keys file on SIGHUP.
+const { createBridge, loadConfig } = require('./steem-bridge');
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const bridge = createBridge(config);
+
+bridge.start().catch((error) => {
+  console.error('Failed to start Steem WebSocket API server:', error.message);
+  process.exit(1);
+});
+
+// Graceful shutdown
+const shutdown = (signal) => {
+  console.log(`\n Received ${signal}, shutting down gracefully...`);
+  bridge.stop().then(() => {
+    console.log('Server closed successfully');
+    process.exit(0);
+  });
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Reload the API keys file without a restart
+process.on('SIGHUP', () => {
+  try {
+    bridge.reloadApiKeys();
+  } catch (error) {
+    console.error('Failed to reload API keys:', error.message);
+  }
+});
@@ -1,54 +1,256 @@
+const EventEmitter = require("events");
 const WebSocket = require("ws");
 const { Client } = require("dsteem");
 const http = require("http");
-
-// Initialize Steem client with multiple nodes for redundancy
-const steemNodes = [
-  "https://api.steemit.com/",
-  "https://api.moecki.online/",
-  "https://api.steemitdev.com/",
-  "https://steemd.steemworld.org/",
-  "https://api.pennsif.net/",
-  "https://api.botsteem.com/",
-  "https://api.steememory.com/",
-  "https://steemapi.boylikegirl.club/",
-  "https://api.justyy.com/",
-  "https://api.steem.fans/",
+const crypto = require("crypto");
+const { MethodRegistry } = require("./method-registry");
+const { RequestQueue } = require("./request-queue");
+const { AccountBatcher } = require("./account-batcher");
+const {
+  ConfigError,
+  loadConfig,
+  resolveConfig,
+  isHttpUrl,
+  checkVerificationNodes,
+} = require("./config");
+const { MetricsRegistry } = require("./metrics");
+const { Logger } = require("./logger");
+const { AdminApi } = require("./admin-api");
+const { ApiKeyStore } = require("./api-keys");
+const { RateLimiter } = require("./rate-limiter");
+const { NodeHealth } = require("./node-health");
+const { HedgeBudget } = require("./hedge-budget");
+const { isNotFound } = require("./node-capabilities");
+const {
+  normalizeOperationFilter,
+  describeOperationFilter,
+  matchesOperationFilter,
+} = require("./operation-filter");
+
+// JSON-RPC 2.0 error codes (see https://www.jsonrpc.org/specification)
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Implementation-defined server errors (-32000 to -32099)
+  SERVER_ERROR: -32000, // Upstream node or bridge failure
+  QUEUE_FULL: -32001,
+  RATE_LIMITED: -32002,
+  UNAUTHORIZED: -32003, // Missing or invalid API key
+  FORBIDDEN: -32004, // Not allowed on the client's tier
+  CONSISTENCY_ERROR: -32005, // Nodes disagreed on a verified call
+};
+
+// Methods handled by the bridge itself rather than the method registry
+const SUBSCRIPTION_METHODS = [
+  "subscribe",
+  "unsubscribe",
+  "subscribe_global_properties",
+  "unsubscribe_global_properties",
+  "subscribe_blocks",
+  "unsubscribe_blocks",
+  "subscribe_irreversible_blocks",
+  "unsubscribe_irreversible_blocks",
+  "subscribe_block_headers",
+  "unsubscribe_block_headers",
+  "subscribe_operations",
+  "unsubscribe_operations",
+  "subscribe_witnesses",
+  "unsubscribe_witnesses",
+  "subscribe_power_meter",
+  "unsubscribe_power_meter",
+  "subscribe_transaction",
+  "unsubscribe_transaction",
 ];
 
-class SteemWebSocketServer {
-  constructor(port = 8080) {
-    this.port = port;
-    this.steemClient = new Client(steemNodes[0], { failoverThreshold: 0 });
+// Subscription topics and the key of their map in this.subscribers
+const SUBSCRIPTION_TOPICS = {
+  global_properties: "globalProperties",
+  blocks: "blocks",
+  irreversible_blocks: "irreversibleBlocks",
+  block_headers: "blockHeaders",
+  operations: "operations",
+  witnesses: "witnesses",
+  power_meter: "powerMeter",
+  transaction: "transactions",
+};
+
+// Steem rejects transactions expiring more than an hour (1200 blocks) ahead,
+// so a transaction not included within that many blocks never will be
+const MAX_TRANSACTION_WAIT_BLOCKS = 1200;
+
+// Default TTL (a key of the server's cache config) for each cache namespace
+const CACHE_NAMESPACE_TTLS = {
+  blockHeaders: "blockTTL",
+  blocks: "blockTTL",
+  operations: "blockTTL",
+  market: "marketTTL",
+  account: "accountTTL",
+  other: "otherTTL",
+};
+
+// How much better another node must score before the bridge leaves a
+// healthy node for it (see selectNode)
+const SCORE_SWITCH_RATIO = 2;
+const SCORE_SWITCH_MIN_MS = 100;
+
+const BREAKER_GAUGE_VALUES = { closed: 0, half_open: 0.5, open: 1 };
+
+// Error carrying a JSON-RPC error code. Plain errors map to SERVER_ERROR.
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// What a failed call says about the node: "client" when the bridge rejected
+// the request itself, "rpc" when the node answered with a JSON-RPC error
+// (dsteem's RPCError), "consistency" when nodes disagreed on a verified
+// call, and "node" for faults of the node or the network (timeouts, refused
+// connections, HTTP errors, unreadable responses)
+function classifyError(error) {
+  if (error instanceof RpcError) {
+    if (error.code === RPC_ERRORS.CONSISTENCY_ERROR) return "consistency";
+    return error.code === RPC_ERRORS.SERVER_ERROR ? "node" : "client";
+  }
+  if (error && error.name === "RPCError") return "rpc";
+  return "node";
+}
+
+// JSON with object keys sorted, so equal values from different nodes
+// serialize the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+// Tier method patterns: an exact method name, or a prefix ending in "*"
+// ("database_api.*", "subscribe*", "*")
+function matchesMethodPattern(pattern, method) {
+  return pattern.endsWith("*")
+    ? method.startsWith(pattern.slice(0, -1))
+    : pattern === method;
+}
+
+// Nothing runs until start(). Emits "block" ({ blockNumber, block,
+// sequence }) for every head block streamed, "fork" (same data as the
+// subscription fork event), "nodeSwitch" ({ from, to, reason }),
+// "nodeState" ({ node, from, to }) when a node's circuit breaker changes
+// state and, when listened for, "error" (error, source).
+class SteemWebSocketServer extends EventEmitter {
+  constructor(port = 8080, options = {}) {
+    super();
+
+    // An existing http.Server to attach the WebSocket endpoint to, and a
+    // Logger to use instead of one built from config.logging
+    const { server, logger, ...settings } = options;
+    this.attachedServer = server || null;
+
+    // Defaults filled in and validated (see config.js)
+    this.config = resolveConfig({ ...settings, port: Number(port) });
+    this.logger = logger || new Logger(this.config.logging);
+    this.port = this.config.port;
+    this.nodes = [...this.config.nodes]; // Changed at runtime by the admin API
+
+    // Allowlisted upstream methods (see method-registry.js)
+    this.methodRegistry = new MethodRegistry(this.config.methods);
+    const unverifiable = this.config.verification.methods.filter((name) => {
+      const entry = this.methodRegistry.resolve(name);
+      return entry && !this.methodRegistry.isVerifiable(entry);
+    });
+    if (unverifiable.length > 0) {
+      throw new ConfigError([
+        `verification.methods cannot include ${unverifiable.join(
+          ", "
+        )}: their answers change with every block`,
+      ]);
+    }
+    this.methodRegistry.names().forEach((name) => {
+      const { handler } = this.methodRegistry.resolve(name);
+      if (handler && typeof this[handler] !== "function") {
+        throw new Error(`${name}: unknown handler "${handler}"`);
+      }
+    });
+
+    this.steemClient = this.createClient(this.nodes[0]);
     this.currentNodeIndex = 0;
     this.wss = null;
     this.httpServer = null;
     this.startTime = Date.now();
+    this.started = false;
+    this.timers = []; // Intervals cleared by stop()
 
-    // Client subscription management
+    // Client subscription management. Each topic maps an opaque subscription
+    // id to { id, ws, topic, alias, live, irreversible, filter, username,
+    // transaction }; sockets keep their own subscriptions in ws.subscriptions
+    // for cleanup.
     this.subscribers = {
-      globalProperties: new Set(),
-      blocks: new Set(),
-      blockHeaders: new Set(),
-      operations: new Set(),
-      witnesses: new Set(),
-      powerMeter: new Map(), // Map<WebSocket, string> (socket -> username)
+      globalProperties: new Map(),
+      blocks: new Map(),
+      irreversibleBlocks: new Map(),
+      blockHeaders: new Map(),
+      operations: new Map(),
+      witnesses: new Map(),
+      powerMeter: new Map(),
+      transactions: new Map(),
     };
 
     // Block monitoring for subscribers
     this.lastProcessedBlock = null;
     this.blockSubscriptionData = new Map(); // Cache recent blocks for subscribers
+    this.blockSequence = 0; // Increments once per streamed block
+    this.isStreamingBlocks = false;
+    // Irreversible stream, trailing last_irreversible_block_num
+    this.lastIrreversibleBlock = null;
+    this.irreversibleSequence = 0;
+    this.isStreamingIrreversible = false;
+    this.maxCatchUpBlocks = 20; // Blocks streamed per poll when catching up
+    // Ids of recently streamed blocks (block number -> block_id) for spotting
+    // forks; reorganizations deeper than maxForkDepth cannot be unwound
+    this.recentBlockIds = new Map();
+    this.maxForkDepth = 50;
+    this.forksDetected = 0;
+    this.maxBackfillBlocks = this.config.maxBackfillBlocks; // from_block replay window
 
     // Enhanced node management with health tracking
-    this.nodeHealth = steemNodes.map((node) => ({
-      url: node,
-      healthy: true,
-      lastError: null,
-      errorCount: 0,
-      lastSuccess: Date.now(),
-      avgResponseTime: 0,
-      totalRequests: 0,
-    }));
+    this.nodeHealth = this.nodes.map((node) => this.createNodeHealth(node));
+    this.networkHead = null; // Highest head block seen by the health probes
+    this.pinnedNode = null; // Set by an operator; failover leaves it alone
+    // Limits hedged calls to a share of upstream calls (see hedgedCall)
+    this.hedgeBudget = new HedgeBudget({
+      percent: this.config.hedging.budgetPercent,
+    });
+    this.hedgeTimers = new Set(); // Cleared by stop()
+
+    // Drain mode: new connections are refused and /health reports 503
+    this.draining = false;
+
+    // API keys and the tier each maps to (see api-keys.js)
+    this.apiKeys = new ApiKeyStore({
+      file: this.config.apiKeysFile,
+      tiers: this.config.tiers,
+    });
+    // Requests per minute per API key or address, over WebSocket and HTTP
+    this.rateLimiter = new RateLimiter();
+
+    // Runtime operations over HTTP (see admin-api.js)
+    this.adminApi = new AdminApi(this, {
+      token: this.config.adminToken,
+      logger: this.logger,
+    });
 
     // Smart cache system with multiple layers
     this.cache = {
@@ -62,129 +264,293 @@ class SteemWebSocketServer {
       other: new Map(), // Cache for other miscellaneous data
       lastGlobalUpdate: 0,
       lastWitnessUpdate: 0,
-      globalTTL: 3000, // 3 seconds
-      witnessTTL: 300000, // 5 minutes (witnesses change infrequently)
-      blockTTL: 300000, // 5 minutes for blocks
-      marketTTL: 4000, // 4 seconds for market data
-      accountTTL: 10000, // 10 seconds for account data
-      otherTTL: 30000, // 30 seconds for misc data
-      maxCacheSize: 1000, // Max cached items per type
+      // TTLs and maxCacheSize (max cached items per type)
+      ...this.config.cache,
     };
 
-    // Request queue to handle burst traffic
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-    this.maxQueueSize = 1000;
+    // Request queue to handle burst traffic: a worker pool with per-client
+    // round-robin and a fast lane for requests served from cache. Every
+    // request, including each entry of a batch, is queued on its own (see
+    // queueRequest).
+    this.maxQueueSize = this.config.maxQueueSize;
+    this.requestQueue = new RequestQueue({
+      concurrency: this.config.concurrency,
+      perClientConcurrency: this.config.perClientConcurrency,
+      maxSize: this.maxQueueSize,
+      logger: this.logger,
+      handler: (client, task) => task(),
+    });
+    this.maxBatchSize = 50; // Max requests in one JSON-RPC batch
+    this.maxPayload = this.config.maxPayload; // Max message / HTTP body size
 
     // Error tracking and recovery
     this.errorStats = {
       totalErrors: 0,
-      nodeErrors: 0,
+      nodeErrors: 0, // Calls no node answered
+      rpcErrors: 0, // JSON-RPC errors returned by a node
+      clientErrors: 0, // Requests rejected by the bridge itself
+      consistencyErrors: 0, // Verified calls the nodes disagreed on
       cacheHits: 0,
       cacheMisses: 0,
+      coalescedRequests: 0,
       autoRecoveries: 0,
     };
 
+    // Upstream calls in progress ("method:params" -> promise), shared by
+    // identical requests arriving before the first one returns
+    this.inFlight = new Map();
+
+    // Prometheus metrics, served on GET /metrics
+    this.metrics = new MetricsRegistry();
+    this.setupMetrics();
+
+    // Single-account lookups arriving together share one upstream call.
+    // A node rejecting the batch (e.g. an invalid name) gets asked per name.
+    this.accountBatcher = new AccountBatcher({
+      windowMs: this.config.accountBatchWindowMs,
+      fetch: async (entry, names) =>
+        this.methodRegistry.batchItems(
+          entry,
+          await this.callSteemAPI(
+            entry.api,
+            entry.method,
+            this.methodRegistry.batchParams(entry, names)
+          )
+        ),
+      splitOnError: (error) => error.name === "RPCError",
+    });
+  }
+
+  // Listen on the configured port, or attach to options.server (whose owner
+  // then routes HTTP requests, e.g. to handleHttpRequest), and start the
+  // update loops. Resolves once connections are accepted.
+  async start() {
+    if (this.started) return;
+    this.apiKeys.load();
+    this.started = true;
+    this.startTime = Date.now();
+
     this.initializeServer();
+    if (!this.attachedServer) {
+      try {
+        await new Promise((resolve, reject) => {
+          this.httpServer.once("error", reject);
+          this.httpServer.listen(this.port, () => {
+            this.httpServer.removeListener("error", reject);
+            resolve();
+          });
+        });
+      } catch (error) {
+        this.started = false;
+        this.wss.close();
+        this.wss = null;
+        this.httpServer = null;
+        throw error;
+      }
+    }
+
+    // Port 0 listens on a free port
+    const address = this.httpServer.address();
+    if (address && typeof address === "object") {
+      this.port = address.port;
+    }
+    this.logStartup();
+
     this.setupPeriodicUpdates();
     this.startNodeHealthMonitoring();
   }
 
-  initializeServer() {
-    // Create HTTP server first
-    this.httpServer = http.createServer((req, res) => {
-      // Enable CORS for dhakawitness.com
-      const origin = req.headers.origin;
-      const allowedOrigins = [
-        "https://dhakawitness.com",
-        "https://www.dhakawitness.com",
-        "http://localhost:3000", // For development
-        "http://localhost:8080", // For local testing
-      ];
-
-      if (allowedOrigins.includes(origin)) {
-        res.setHeader("Access-Control-Allow-Origin", origin);
-      }
-      res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-      res.setHeader(
-        "Access-Control-Allow-Headers",
-        "DNT,User-Agent,X-Requested-With,If-Modified-Since,Cache-Control,Content-Type,Range"
-      );
-      res.setHeader(
-        "Access-Control-Expose-Headers",
-        "Content-Length,Content-Range"
-      );
+  // Clear every interval, disconnect all clients and close the server. An
+  // attached http.Server is left open for its owner.
+  async stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+    this.hedgeTimers.forEach((timer) => clearTimeout(timer));
+    this.hedgeTimers.clear();
+    this.accountBatcher.stop(new Error("Server shutting down"));
+
+    this.wss.clients.forEach((ws) => ws.close(1001, "Server shutting down"));
+    await new Promise((resolve) => this.wss.close(() => resolve()));
+    if (!this.attachedServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+    }
+    this.wss = null;
+    this.httpServer = null;
+  }
 
-      if (req.method === "OPTIONS") {
-        res.writeHead(200);
-        res.end();
-        return;
-      }
+  // Errors are only emitted to listeners; an unhandled "error" event would
+  // take the whole process down over one failed upstream call
+  reportError(error, source) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error, source);
+    }
+  }
 
-      // Health check endpoint
-      if (req.url === "/health") {
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(
-          JSON.stringify({
-            status: "healthy",
-            timestamp: new Date().toISOString(),
-          })
-        );
-        return;
-      }
+  // HTTP endpoints: /health, /status, /metrics, /admin, JSON-RPC and the info
+  // blob
+  handleHttpRequest(req, res) {
+    // Enable CORS for the configured origins
+    const origin = req.headers.origin;
+    if (this.config.allowedOrigins.includes(origin)) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+    }
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "DNT,User-Agent,X-Requested-With,If-Modified-Since,Cache-Control,Content-Type,Range,X-API-Key"
+    );
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      "Content-Length,Content-Range"
+    );
 
-      // Status endpoint
-      if (req.url === "/status") {
-        const stats = this.getStats();
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify(stats));
-        return;
-      }
+    if (req.method === "OPTIONS") {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
 
-      // Default response for other HTTP requests
-      res.writeHead(200, { "Content-Type": "application/json" });
+    // Health check endpoint; failing while draining takes the bridge out
+    // of load balancer rotation
+    if (req.url === "/health") {
+      res.writeHead(this.draining ? 503 : 200, {
+        "Content-Type": "application/json",
+      });
       res.end(
         JSON.stringify({
-          service: "Steem WebSocket Bridge",
-          version: "v2.0.0",
-          domain: "dhakawitness.com",
-          websocket: `wss://dhakawitness.com`,
-          websocket_local: `ws://localhost:${this.port}`,
-          endpoints: {
-            health: "/health",
-            status: "/status",
-          },
+          status: this.draining ? "draining" : "healthy",
+          timestamp: new Date().toISOString(),
         })
       );
-    });
+      return;
+    }
+
+    if (this.adminApi.handles(req)) {
+      this.adminApi.handle(req, res);
+      return;
+    }
+
+    // Status endpoint
+    if (req.url === "/status") {
+      const stats = this.getStats();
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(stats));
+      return;
+    }
+
+    // Prometheus scrape endpoint
+    if (req.url === "/metrics") {
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      });
+      res.end(this.metrics.render());
+      return;
+    }
+
+    // JSON-RPC over HTTP
+    const path = req.url.split("?")[0];
+    if (req.method === "POST" && (path === "/" || path === "/rpc")) {
+      this.handleHttpRpc(req, res);
+      return;
+    }
+
+    // Default response for other HTTP requests
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        service: "Steem WebSocket Bridge",
+        version: "v2.0.0",
+        domain: this.config.domain,
+        websocket: `wss://${this.config.domain}`,
+        websocket_local: `ws://localhost:${this.port}`,
+        endpoints: {
+          health: "/health",
+          status: "/status",
+          metrics: "/metrics",
+          rpc: "POST / or POST /rpc (JSON-RPC 2.0)",
+        },
+      })
+    );
+  }
+
+  initializeServer() {
+    // Create HTTP server first
+    this.httpServer =
+      this.attachedServer ||
+      http.createServer((req, res) => this.handleHttpRequest(req, res));
 
     // Create WebSocket server using the HTTP server
     this.wss = new WebSocket.Server({
       server: this.httpServer,
-      maxPayload: 16 * 1024, // 16KB max message size
+      maxPayload: this.maxPayload,
       perMessageDeflate: true, // Enable compression
     });
 
-    console.log(`Steem WebSocket API server starting on port ${this.port}`);
+    this.wss.on("error", (error) => {
+      this.logger.error("WebSocket server error", { error });
+      this.reportError(error, "server");
+    });
+
+    if (!this.attachedServer) {
+      this.logger.info("Steem WebSocket API server starting", {
+        port: this.port,
+      });
+    }
 
     this.wss.on("connection", (ws, request) => {
       const clientIP = request.socket.remoteAddress;
 
-      // Connection limiting - max 100 connections
-      if (this.wss.clients.size > 100) {
-        console.log(`Connection limit reached, rejecting ${clientIP}`);
+      if (this.draining) {
+        ws.close(1013, "Server draining, try another");
+        return;
+      }
+
+      // Connection limiting
+      if (this.wss.clients.size > this.config.maxConnections) {
+        this.logger.warn("Connection limit reached, rejecting client", {
+          clientIP,
+        });
         ws.close(1008, "Server at capacity");
         return;
       }
 
-      console.log(
-        `New client connected from ${clientIP} (${this.wss.clients.size} total)`
-      );
+      // Clients without an API key get the anonymous tier, if there is one
+      const apiKey = this.requestApiKey(request);
+      const identity =
+        apiKey === null
+          ? this.anonymousIdentity()
+          : this.apiKeys.lookup(apiKey);
+      if (apiKey !== null && !identity) {
+        this.logger.warn("Invalid API key, rejecting client", { clientIP });
+        ws.close(4001, "Invalid API key");
+        return;
+      }
+      if (identity && !this.hasConnectionCapacity(identity)) {
+        this.logger.warn("Tier connection limit reached, rejecting client", {
+          clientIP,
+          client: identity.name,
+          tier: identity.tier,
+        });
+        ws.close(1008, "Connection limit reached for your tier");
+        return;
+      }
+
+      ws.connectionId = crypto.randomBytes(4).toString("hex");
+      ws.clientIP = clientIP;
+      ws.connectedAt = Date.now();
+
+      ws.subscriptions = new Map(); // Map<subscriptionId, subscription>
 
-      // Rate limiting per connection
-      ws.messageCount = 0;
-      ws.lastReset = Date.now();
-      ws.maxMessagesPerMinute = 2000; // Increased for high-frequency apps (33/sec avg)
+      ws.apiKey = identity ? apiKey : null;
+      ws.identity = null;
+      this.applyIdentity(ws, identity);
+      ws.logger.info("Client connected", {
+        clientIP,
+        clients: this.wss.clients.size,
+      });
 
       // Send welcome message
       ws.send(
@@ -192,1440 +558,2950 @@ class SteemWebSocketServer {
           type: "connection",
           status: "connected",
           message: "Connected to Steem WebSocket API",
-          availableApis: [
-            "get_dynamic_global_properties",
-            "get_block_header",
-            "get_block",
-            "get_ops_in_block",
-            "get_active_witnesses",
-            "get_transaction",
-            "get_ticker",
-            "get_order_book",
-            "get_recent_trades",
-            "get_accounts",
-            "get_market_history",
-            "get_account_history",
-            "get_witnesses_by_vote",
-            "get_witnesses_by_vote",
-            "get_vesting_delegations",
-            "find_accounts",
-            "get_reward_fund",
-            "find_rc_accounts",
-            "get_current_median_history_price",
-          ],
-          subscriptionApis: [
-            "subscribe_global_properties",
-            "unsubscribe_global_properties",
-            "subscribe_blocks",
-            "unsubscribe_blocks",
-            "subscribe_block_headers",
-            "unsubscribe_block_headers",
-            "subscribe_operations",
-            "unsubscribe_operations",
-            "subscribe_witnesses",
-            "unsubscribe_witnesses",
-            "subscribe_power_meter",
-            "unsubscribe_power_meter",
-          ],
+          availableApis: this.methodRegistry.names(),
+          subscriptionApis: SUBSCRIPTION_METHODS,
+          subscriptionTopics: Object.keys(SUBSCRIPTION_TOPICS),
+          tier: ws.identity ? ws.identity.tier : null,
           rateLimits: {
-            requestsPerMinute: 2000,
-            subscriptionsUnlimited: true,
+            requestsPerMinute: ws.maxMessagesPerMinute,
+            maxSubscriptions: this.tierLimits(ws).maxSubscriptions,
+            subscriptionsUnlimited:
+              this.tierLimits(ws).maxSubscriptions === null,
           },
         })
       );
 
       ws.on("message", async (message) => {
-        // Rate limiting check
-        const now = Date.now();
-        if (now - ws.lastReset > 60000) {
-          // Reset every minute
-          ws.messageCount = 0;
-          ws.lastReset = now;
-        }
-
-        ws.messageCount++;
-        if (ws.messageCount > ws.maxMessagesPerMinute) {
+        // Rate limiting check, shared by the client's connections and HTTP
+        // requests
+        const client = this.clientKey(ws.identity, ws.apiKey, ws.clientIP);
+        if (!this.rateLimiter.take(client, ws.maxMessagesPerMinute)) {
+          this.metric.rateLimited.inc();
+          if (ws.identity) this.apiKeys.recordRejection(ws.identity);
+          const rateLimitReset = new Date(
+            this.rateLimiter.usage(client).resetAt
+          ).toISOString();
+          const errorMessage = `Rate limit exceeded. Max ${ws.maxMessagesPerMinute} messages per minute.`;
           ws.send(
-            JSON.stringify({
-              type: "error",
-              error: "Rate limit exceeded. Max 2000 messages per minute.",
-              rateLimitReset: new Date(ws.lastReset + 60000).toISOString(),
-            })
+            JSON.stringify(
+              ws.jsonRpc
+                ? this.buildErrorResponse(
+                    null,
+                    new RpcError(RPC_ERRORS.RATE_LIMITED, errorMessage, {
+                      rateLimitReset,
+                    }),
+                    true
+                  )
+                : { type: "error", error: errorMessage, rateLimitReset }
+            )
           );
           return;
         }
 
+        let data;
         try {
-          const data = JSON.parse(message);
-
-          // Queue the request if we're busy
-          if (this.requestQueue.length < this.maxQueueSize) {
-            this.requestQueue.push({ ws, data });
-            this.processQueue();
-          } else {
-            ws.send(
-              JSON.stringify({
-                type: "error",
-                error: "Server queue full. Please retry in a moment.",
-              })
-            );
-          }
+          data = JSON.parse(message);
         } catch (error) {
-          console.error("Error parsing message:", error.message);
+          ws.logger.warn("Invalid JSON message", { error });
           ws.send(
-            JSON.stringify({
-              type: "error",
-              error: "Invalid JSON format",
-              message: error.message,
-            })
+            JSON.stringify(
+              ws.jsonRpc
+                ? this.buildErrorResponse(
+                    null,
+                    new RpcError(RPC_ERRORS.PARSE_ERROR, "Parse error", {
+                      message: error.message,
+                    }),
+                    true
+                  )
+                : {
+                    type: "error",
+                    error: "Invalid JSON format",
+                    message: error.message,
+                  }
+            )
           );
+          return;
+        }
+
+        // Remember JSON-RPC clients so connection-level errors match their format
+        if (Array.isArray(data) || (data && data.jsonrpc !== undefined)) {
+          ws.jsonRpc = true;
+        }
+
+        // Every request in a batch counts against the rate limit
+        if (Array.isArray(data) && data.length > 1) {
+          this.rateLimiter.add(client, data.length - 1);
+        }
+
+        try {
+          await this.handleMessage(ws, data);
+        } catch (error) {
+          ws.logger.error("Failed to handle message", { error });
         }
       });
 
       ws.on("close", () => {
-        console.log(
-          `Client disconnected from ${clientIP} (${this.wss.clients.size} remaining)`
-        );
+        ws.logger.info("Client disconnected", {
+          clientIP,
+          clients: this.wss.clients.size,
+        });
+        if (ws.identity) this.apiKeys.recordDisconnect(ws.identity);
         // Cleanup any pending requests for this client
-        this.requestQueue = this.requestQueue.filter((req) => req.ws !== ws);
+        this.requestQueue.removeClient(ws);
         // Cleanup all subscriptions
-        this.subscribers.globalProperties.delete(ws);
-        this.subscribers.blocks.delete(ws);
-        this.subscribers.blockHeaders.delete(ws);
-        this.subscribers.operations.delete(ws);
-        this.subscribers.witnesses.delete(ws);
-        this.subscribers.powerMeter.delete(ws);
+        ws.subscriptions.forEach((subscription) =>
+          this.removeSubscription(subscription)
+        );
       });
 
       ws.on("error", (error) => {
-        console.error("WebSocket error:", error.message);
+        ws.logger.error("WebSocket error", { error });
       });
     });
+  }
 
-    this.wss.on("listening", () => {
-      console.log(`WebSocket server listening on ws://localhost:${this.port}`);
-      console.log(
-        `Health check available at http://localhost:${this.port}/health`
-      );
-      console.log(
-        `Status endpoint available at http://localhost:${this.port}/status`
-      );
-      console.log(`Production domain: https://dhakawitness.com`);
-      console.log(`Production WebSocket: wss://dhakawitness.com`);
-      console.log(`Available API endpoints:`);
-      console.log(
-        "   - condenser_api.get_dynamic_global_properties (CRITICAL)"
-      );
-      console.log("   - condenser_api.get_block_header");
-      console.log("   - condenser_api.get_block");
-      console.log("   - condenser_api.get_ops_in_block");
-      console.log("   - condenser_api.get_active_witnesses");
-      console.log("   - condenser_api.get_transaction");
-      console.log(`\nSubscription endpoints (for high-frequency apps):`);
-      console.log("   - subscribe_global_properties (real-time block updates)");
-      console.log("   - subscribe_blocks (full block data)");
-      console.log("   - subscribe_block_headers (block headers only)");
-      console.log("   - subscribe_operations (block operations)");
-      console.log("   - subscribe_witnesses (witness updates)");
-      console.log("   - unsubscribe_* (unsubscribe from any feed)");
-      console.log(`\nRate limits: 2000 req/min | Subscriptions: unlimited`);
-    });
-
-    this.wss.on("error", (error) => {
-      console.error("WebSocket server error:", error.message);
+  logStartup() {
+    this.logger.info("HTTP/WebSocket server listening", {
+      port: this.port,
+      websocket: `ws://localhost:${this.port}`,
+      health: `http://localhost:${this.port}/health`,
+      status: `http://localhost:${this.port}/status`,
+      metrics: `http://localhost:${this.port}/metrics`,
+      rpc: `POST http://localhost:${this.port}/rpc`,
+      production: `wss://${this.config.domain}`,
+      rateLimitPerMinute: this.config.rateLimitPerMinute,
     });
-
-    // Start the HTTP server
-    this.httpServer.listen(this.port, () => {
-      console.log(`HTTP/WebSocket server listening on port ${this.port}`);
+    this.logger.debug("Available methods", {
+      methods: this.methodRegistry.names(),
+      subscriptionMethods: SUBSCRIPTION_METHODS,
+      subscriptionTopics: Object.keys(SUBSCRIPTION_TOPICS),
     });
   }
 
-  // Process request queue to handle burst traffic
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) {
-      return;
-    }
-
-    this.isProcessingQueue = true;
-
-    while (this.requestQueue.length > 0) {
-      const { ws, data } = this.requestQueue.shift();
-
-      // Check if client is still connected
-      if (ws.readyState === WebSocket.OPEN) {
-        try {
-          await this.handleMessage(ws, data);
-        } catch (error) {
-          console.error("Queue processing error:", error.message);
-        }
-      }
+  // Requests answerable without an upstream call take the queue's fast lane
+  isCheapRequest(request) {
+    // Malformed requests only produce an error response
+    if (!request || typeof request.method !== "string") return true;
 
-      // Small delay to prevent overwhelming the system
-      await new Promise((resolve) => setTimeout(resolve, 10));
+    const { method, params = [] } = request;
+    if (
+      method === "subscribe" ||
+      method === "unsubscribe" ||
+      method.startsWith("subscribe_") ||
+      method.startsWith("unsubscribe_")
+    ) {
+      return true;
     }
 
-    this.isProcessingQueue = false;
+    const entry = this.methodRegistry.resolve(method);
+    if (!entry) return true;
+    // Verified calls always go to several nodes, cached or not
+    if (
+      request.verified === true ||
+      this.config.verification.methods.includes(entry.name)
+    ) {
+      return false;
+    }
+    return this.isCached(entry, params);
   }
 
-  // Intelligent node switching with health tracking
-  async switchToHealthyNode() {
-    const currentHealth = this.nodeHealth[this.currentNodeIndex];
-    currentHealth.healthy = false;
-    currentHealth.lastError = Date.now();
-    currentHealth.errorCount++;
+  // Whether a registry method would be served from cache right now
+  isCached(entry, params) {
+    const now = Date.now();
+    switch (entry.handler) {
+      case "getDynamicGlobalProperties":
+        return (
+          !!this.cache.globalProperties &&
+          now - this.cache.lastGlobalUpdate < this.cache.globalTTL
+        );
+      case "getActiveWitnesses":
+        return (
+          !!this.cache.activeWitnesses &&
+          now - this.cache.lastWitnessUpdate < this.cache.witnessTTL
+        );
+    }
+    if (!entry.cache || this.methodRegistry.validateParams(entry, params)) {
+      return false;
+    }
 
-    console.log(
-      `Node ${steemNodes[this.currentNodeIndex]} marked unhealthy (${
-        currentHealth.errorCount
-      } errors)`
+    const { namespace } = entry.cache;
+    const ttl = entry.cache.ttl ?? this.cache[CACHE_NAMESPACE_TTLS[namespace]];
+    const item = this.cache[namespace].get(
+      this.methodRegistry.cacheKey(
+        entry,
+        this.methodRegistry.applyDefaults(entry, params)
+      )
     );
+    return !!item && now - item.timestamp <= ttl;
+  }
 
-    // Find the healthiest node
-    const healthyNodes = this.nodeHealth
-      .map((health, index) => ({ ...health, index }))
-      .filter((node) => node.healthy || Date.now() - node.lastError > 60000) // Recovery after 1 minute
+  // Indexes of the enabled, healthy nodes, best score first. Nodes that have
+  // not answered yet follow in configured order.
+  rankNodes() {
+    return this.nodeHealth
+      .map((health, index) => ({ index, score: health.score() }))
+      .filter(({ index }) => {
+        const health = this.nodeHealth[index];
+        return health.enabled && health.healthy;
+      })
       .sort((a, b) => {
-        // Sort by: healthy status, low error count, low response time
-        if (a.healthy !== b.healthy) return b.healthy - a.healthy;
-        if (a.errorCount !== b.errorCount) return a.errorCount - b.errorCount;
-        return a.avgResponseTime - b.avgResponseTime;
-      });
+        if (a.score === null || b.score === null) {
+          return (a.score === null) - (b.score === null);
+        }
+        return a.score - b.score;
+      })
+      .map(({ index }) => index);
+  }
 
-    if (healthyNodes.length === 0) {
-      console.warn("All nodes unhealthy, using current node");
-      return;
+  // Make nodes[index] the upstream node. Cached data the new node could
+  // answer differently is dropped (see clearReversibleCache).
+  useNode(index, reason) {
+    const previousNode = this.nodes[this.currentNodeIndex];
+    this.currentNodeIndex = index;
+    this.steemClient = this.createClient(this.nodes[index]);
+
+    if (this.nodes[index] !== previousNode) {
+      this.clearReversibleCache();
+      this.metric.nodeSwitches.inc({ reason });
+      this.emit("nodeSwitch", {
+        from: previousNode,
+        to: this.nodes[index],
+        reason,
+      });
     }
+  }
 
-    const bestNode = healthyNodes[0];
-    this.currentNodeIndex = bestNode.index;
-
-    console.log(
-      `Switched to healthier node: ${
-        steemNodes[this.currentNodeIndex]
-      } (errors: ${bestNode.errorCount}, avg: ${bestNode.avgResponseTime}ms)`
-    );
+  createNodeHealth(url) {
+    const health = new NodeHealth(url, {
+      sampleSize: this.config.healthSampleSize,
+      breaker: {
+        ...this.config.circuitBreaker,
+        onStateChange: (from, to) => this.onBreakerChange(health, from, to),
+      },
+    });
+    return health;
+  }
 
-    this.steemClient = new Client(steemNodes[this.currentNodeIndex], {
-      failoverThreshold: 0,
-      timeout: 10000,
+  onBreakerChange(health, from, to) {
+    this.metric.breakerTransitions.inc({ node: health.url, state: to });
+    this.logger[to === "open" ? "warn" : "info"]("Circuit breaker changed", {
+      node: health.url,
+      from,
+      to,
+      consecutiveFailures: health.breaker.consecutiveFailures,
     });
+    this.emit("nodeState", { node: health.url, from, to });
+    // Nodes not yet in this.nodes are being added
+    if (to === "open" && this.nodes.includes(health.url)) {
+      this.selectNode();
+    }
+  }
 
-    // Clear caches to ensure fresh data from new node
-    this.clearCache();
-    this.errorStats.autoRecoveries++;
+  // Index of the first enabled node after the current one, or -1
+  nextEnabledNodeIndex() {
+    for (let step = 1; step < this.nodes.length; step++) {
+      const index = (this.currentNodeIndex + step) % this.nodes.length;
+      if (this.nodeHealth[index].enabled) return index;
+    }
+    return -1;
   }
 
-  // Smart API call with retry logic and performance tracking
-  async callSteemAPI(method, params, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      const startTime = Date.now();
-      const nodeHealth = this.nodeHealth[this.currentNodeIndex];
+  // Call the upstream API. Each attempt goes to the current node or, once
+  // it has failed this call, to the best other node its breaker lets
+  // through; a node is only asked twice, after a backoff, when no other is
+  // usable. Node faults count against the node's breaker, whose opening
+  // fails the bridge over (see onBreakerChange). Only nodes that serve the
+  // method are asked (see node-capabilities.js). A JSON-RPC error is the
+  // node's answer and is not retried, except that a node without the method
+  // passes the call on. Methods listed in hedging.methods may also be sent
+  // to a second node (see hedgedCall).
+  async callSteemAPI(api, method, params, maxRetries = 3) {
+    const name = `${api}.${method}`;
+    const tried = new Set();
+    let lastError = new Error("No upstream node available");
+
+    let attempt = 1;
+    while (attempt <= maxRetries) {
+      if (!this.nodeHealth.some((health) => this.canServe(health, name))) {
+        throw new RpcError(
+          RPC_ERRORS.METHOD_NOT_FOUND,
+          `${name} is not supported by any upstream node`
+        );
+      }
+      const index = this.pickNode(tried, name);
+      if (index === -1) break;
+      if (tried.has(index)) {
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+      tried.add(index);
 
       try {
-        let result;
-
-        // Route to appropriate method
-        switch (method) {
-          case "getDynamicGlobalProperties":
-            result =
-              await this.steemClient.database.getDynamicGlobalProperties();
-            break;
-          case "getBlockHeader":
-            result = await this.steemClient.database.getBlockHeader(params[0]);
-            break;
-          case "getBlock":
-            result = await this.steemClient.database.getBlock(params[0]);
-            break;
-          case "getOpsInBlock":
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_ops_in_block",
-              params
-            );
-            break;
-          case "getActiveWitnesses":
-            result = await this.steemClient.database.call(
-              "get_active_witnesses",
-              []
-            );
-            break;
-          case "getTransaction":
-            result = await this.steemClient.database.getTransaction(params[0]);
-            break;
-          case "getTicker":
-            result = await this.steemClient.call(
-              "market_history_api",
-              "get_ticker",
-              params
-            );
-            break;
-          case "getOrderBook":
-            result = await this.steemClient.call(
-              "market_history_api",
-              "get_order_book",
-              params
-            );
-            break;
-          case "getRecentTrades":
-            result = await this.steemClient.call(
-              "market_history_api",
-              "get_recent_trades",
-              params
-            );
-            break;
-          case "getAccounts":
-            // condenser_api.get_accounts expects [[names]]
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_accounts",
-              params
-            );
-            break;
-          case "getMarketHistory":
-            result = await this.steemClient.call(
-              "market_history_api",
-              "get_market_history",
-              params
-            );
-            break;
-          case "getAccountHistory":
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_account_history",
-              params
-            );
-            break;
-          case "getWitnessesByVote":
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_witnesses_by_vote",
-              params
-            );
-            break;
-          case "getVestingDelegations":
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_vesting_delegations",
-              params
-            );
-            break;
-          case "findAccounts":
-            // database_api.find_accounts params: { accounts: [] }
-            result = await this.steemClient.call(
-              "database_api",
-              "find_accounts",
-              params
-            );
-            break;
-          case "getRewardFund":
-            // condenser_api.get_reward_fund params: [name]
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_reward_fund",
-              params
-            );
-            break;
-          case "findRCAccounts":
-            // rc_api.find_rc_accounts params: { accounts: [] }
-            result = await this.steemClient.call(
-              "rc_api",
-              "find_rc_accounts",
-              params
-            );
-            break;
-          case "getCurrentMedianHistoryPrice":
-            // condenser_api.get_current_median_history_price params: []
-            result = await this.steemClient.call(
-              "condenser_api",
-              "get_current_median_history_price",
-              params
-            );
-            break;
-          default:
-            throw new Error(`Unknown method: ${method}`);
+        return await this.hedgedCall(index, tried, api, method, params, {
+          attempt,
+          maxRetries,
+        });
+      } catch (error) {
+        lastError = error;
+        if (classifyError(error) === "rpc") {
+          // A node without the method is not picked for it again, so
+          // moving on to the next one does not use up an attempt
+          if (isNotFound(error)) continue;
+          break;
         }
+        attempt++;
+      }
+    }
 
-        // Update node health on success
-        const responseTime = Date.now() - startTime;
-        nodeHealth.lastSuccess = Date.now();
-        nodeHealth.totalRequests++;
-        nodeHealth.avgResponseTime = Math.round(
-          (nodeHealth.avgResponseTime * (nodeHealth.totalRequests - 1) +
-            responseTime) /
-            nodeHealth.totalRequests
-        );
-        nodeHealth.healthy = true;
+    this.errorStats.totalErrors++;
+    if (classifyError(lastError) === "rpc") {
+      this.errorStats.rpcErrors++;
+      throw lastError;
+    }
+    this.errorStats.nodeErrors++;
+    this.reportError(lastError, "upstream");
+    throw lastError;
+  }
 
-        return result;
-      } catch (error) {
-        const responseTime = Date.now() - startTime;
-        nodeHealth.errorCount++;
-        nodeHealth.lastError = Date.now();
+  // One call to nodes[index], recorded in the node's health and metrics.
+  // logDetails are added to the log line of a failed call.
+  async callNode(index, api, method, params, logDetails) {
+    const node = this.nodes[index];
+    const nodeHealth = this.nodeHealth[index];
+    const client =
+      index === this.currentNodeIndex
+        ? this.steemClient
+        : this.createClient(node);
+    const startTime = Date.now();
 
-        console.error(
-          `API call failed (attempt ${attempt}/${maxRetries}): ${error.message} (${responseTime}ms)`
+    try {
+      const result = await client.call(api, method, params);
+      this.metric.upstreamDuration.observeSince(
+        { node, outcome: "success" },
+        startTime
+      );
+      nodeHealth.recordSuccess(Date.now() - startTime);
+      return result;
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      if (classifyError(error) === "rpc") {
+        this.metric.upstreamDuration.observeSince(
+          { node, outcome: "rpc_error" },
+          startTime
         );
-
-        // Try switching nodes if this isn't the last attempt
-        if (attempt < maxRetries) {
-          await this.switchToHealthyNode();
-          await new Promise((resolve) => setTimeout(resolve, 1000 * attempt)); // Exponential backoff
-        } else {
-          this.errorStats.totalErrors++;
-          this.errorStats.nodeErrors++;
-          throw error;
+        nodeHealth.recordSuccess(responseTime);
+        if (nodeHealth.capabilities.recordNotFound(`${api}.${method}`, error)) {
+          this.logger.info("Node does not support method", {
+            node,
+            method: `${api}.${method}`,
+            error,
+          });
         }
+        throw error;
       }
+
+      this.metric.upstreamDuration.observeSince(
+        { node, outcome: "error" },
+        startTime
+      );
+      nodeHealth.recordFailure(error, responseTime);
+      this.logger.error("Upstream call failed", {
+        node,
+        method: `${api}.${method}`,
+        ...logDetails,
+        durationMs: responseTime,
+        error,
+      });
+      throw error;
     }
   }
 
-  // Node health monitoring
-  startNodeHealthMonitoring() {
-    setInterval(async () => {
-      // Test current node health
-      try {
-        const startTime = Date.now();
-        await this.steemClient.database.getDynamicGlobalProperties();
-        const responseTime = Date.now() - startTime;
-
-        const nodeHealth = this.nodeHealth[this.currentNodeIndex];
-        nodeHealth.lastSuccess = Date.now();
-        nodeHealth.healthy = true;
-
-        // Consider node slow if consistently over 2 seconds
-        if (responseTime > 2000) {
-          nodeHealth.avgResponseTime = Math.max(
-            nodeHealth.avgResponseTime,
-            responseTime
-          );
-          console.warn(
-            `Node ${
-              steemNodes[this.currentNodeIndex]
-            } responding slowly: ${responseTime}ms`
-          );
-        }
-      } catch (error) {
-        console.warn(
-          `Health check failed for ${steemNodes[this.currentNodeIndex]}: ${
-            error.message
-          }`
+  // Call nodes[index] and, for a hedged method, send the same call to the
+  // next-best healthy node if the first has not answered after hedgeDelay.
+  // The first successful answer wins and the other is ignored (dsteem calls
+  // cannot be cancelled); the call fails only when both do. Each hedge
+  // spends from this.hedgeBudget.
+  hedgedCall(index, tried, api, method, params, logDetails) {
+    const name = `${api}.${method}`;
+    this.hedgeBudget.recordCall();
+    const delay = this.hedgeDelay(index, name);
+    if (delay === null) {
+      return this.callNode(index, api, method, params, logDetails);
+    }
+
+    return new Promise((resolve, reject) => {
+      let pending = 0;
+      let settled = false;
+      let hedged = false;
+      let timer = null;
+
+      const cancelHedge = () => {
+        clearTimeout(timer);
+        this.hedgeTimers.delete(timer);
+      };
+
+      const send = (nodeIndex, hedge) => {
+        pending++;
+        this.callNode(nodeIndex, api, method, params, {
+          ...logDetails,
+          hedge,
+        }).then(
+          (result) => {
+            if (settled) return;
+            settled = true;
+            cancelHedge();
+            if (hedged) {
+              this.metric.hedges.inc({
+                method: name,
+                outcome: hedge ? "won" : "lost",
+              });
+            }
+            resolve(result);
+          },
+          (error) => {
+            pending--;
+            if (settled || pending > 0) return;
+            settled = true;
+            cancelHedge();
+            if (hedged) {
+              this.metric.hedges.inc({ method: name, outcome: "failed" });
+            }
+            reject(error);
+          }
         );
-        await this.switchToHealthyNode();
-      }
-    }, 30000); // Health check every 30 seconds
+      };
+
+      timer = setTimeout(() => {
+        this.hedgeTimers.delete(timer);
+        const secondary = this.hedgeNode(index, name);
+        if (secondary === -1) return;
+        if (!this.hedgeBudget.take()) {
+          this.metric.hedges.inc({ method: name, outcome: "no_budget" });
+          return;
+        }
+        this.logger.debug("Hedging slow upstream call", {
+          method: name,
+          node: this.nodes[index],
+          hedgeNode: this.nodes[secondary],
+          delayMs: delay,
+        });
+        hedged = true;
+        tried.add(secondary);
+        send(secondary, true);
+      }, delay);
+      this.hedgeTimers.add(timer);
 
-    console.log("Node health monitoring started (30s intervals)");
+      send(index, false);
+    });
   }
 
-  // Enhanced cache management
-  clearCache() {
-    this.cache.globalProperties = null;
-    this.cache.activeWitnesses = null;
-    this.cache.blockHeaders.clear();
-    this.cache.blocks.clear();
-    this.cache.operations.clear();
-    this.cache.market.clear();
-    this.cache.account.clear();
-    this.cache.other.clear();
-    this.cache.lastGlobalUpdate = 0;
-    this.cache.lastWitnessUpdate = 0;
-    console.log("Cache cleared for node switch");
+  // Ms to wait for nodes[index] before hedging a call to `name`: the node's
+  // latency percentile configured for the method, at least
+  // hedging.minDelayMs. Null when the method is not hedged, a node is pinned
+  // or the node has no latency samples yet.
+  hedgeDelay(index, name) {
+    const percentile = this.config.hedging.methods[name];
+    if (!percentile || this.pinnedNode) return null;
+    const latency = this.nodeHealth[index].latencyPercentile(percentile);
+    if (latency === null) return null;
+    return Math.max(latency, this.config.hedging.minDelayMs);
   }
 
-  // Smart cache with size management
-  setCacheItem(map, key, value) {
-    if (map.size >= this.cache.maxCacheSize) {
-      // Remove oldest items (LRU-style)
-      const oldestKey = map.keys().next().value;
-      map.delete(oldestKey);
-    }
-    map.set(key, { value, timestamp: Date.now() });
+  // Best healthy node other than nodes[index] that serves `name` and whose
+  // breaker lets a call through, or -1
+  hedgeNode(index, name) {
+    const secondary = this.rankNodes().find(
+      (candidate) =>
+        candidate !== index &&
+        this.nodeHealth[candidate].capabilities.supports(name) &&
+        this.nodeHealth[candidate].breaker.allowRequest()
+    );
+    return secondary === undefined ? -1 : secondary;
   }
 
-  getCacheItem(map, key, ttl) {
-    const item = map.get(key);
-    if (!item) {
-      this.errorStats.cacheMisses++;
-      return null;
+  // Send the call to verification.nodes healthy nodes serving the method at
+  // once, replacing nodes that fail with the next best, and answer only
+  // when every node gave the same result (or the same JSON-RPC error).
+  // Otherwise fails with CONSISTENCY_ERROR; nodes outside a strict majority
+  // are listed as divergent and the disagreement counts against their
+  // health. A pinned node does not keep other nodes from being asked.
+  async callVerified(api, method, params) {
+    const name = `${api}.${method}`;
+    const needed = this.config.verification.nodes;
+    const candidates = this.rankNodes()
+      .filter((index) => this.nodeHealth[index].capabilities.supports(name))
+      .map((index) => this.nodeHealth[index]);
+    const answers = []; // { health, result } or { health, error }
+
+    while (answers.length < needed && candidates.length > 0) {
+      const round = await Promise.all(
+        candidates.splice(0, needed - answers.length).map((health) =>
+          this.callNode(this.nodes.indexOf(health.url), api, method, params, {
+            verified: true,
+          }).then(
+            (result) => ({ health, result }),
+            (error) => ({ health, error })
+          )
+        )
+      );
+      answers.push(
+        ...round.filter(
+          ({ error }) =>
+            !error || (classifyError(error) === "rpc" && !isNotFound(error))
+        )
+      );
     }
 
-    if (Date.now() - item.timestamp > ttl) {
-      map.delete(key);
-      this.errorStats.cacheMisses++;
-      return null;
+    if (answers.length < needed) {
+      this.metric.verifications.inc({ method: name, outcome: "unavailable" });
+      this.errorStats.totalErrors++;
+      this.errorStats.nodeErrors++;
+      throw new RpcError(
+        RPC_ERRORS.SERVER_ERROR,
+        `Cannot verify ${name}: ${answers.length} of ${needed} nodes answered`
+      );
     }
 
-    this.errorStats.cacheHits++;
-    return item.value;
-  }
+    const groups = new Map(); // canonical answer -> answers
+    answers.forEach((answer) => {
+      const key = answer.error
+        ? `error:${answer.error.message}`
+        : canonicalJson(answer.result);
+      groups.set(key, [...(groups.get(key) || []), answer]);
+    });
 
-  async handleMessage(ws, data) {
-    const { id, method, params = [] } = data;
+    if (groups.size === 1) {
+      this.metric.verifications.inc({ method: name, outcome: "agreed" });
+      const [{ result, error }] = answers;
+      if (error) {
+        this.errorStats.totalErrors++;
+        this.errorStats.rpcErrors++;
+        throw error;
+      }
+      return result;
+    }
+
+    const [largest] = Array.from(groups.values()).sort(
+      (a, b) => b.length - a.length
+    );
+    const majority = largest.length > answers.length / 2 ? largest : [];
+    const divergent = answers.filter((answer) => !majority.includes(answer));
+    if (majority.length > 0) {
+      divergent.forEach(({ health }) => health.recordDisagreement(name));
+    }
+
+    const nodes = answers.map(({ health }) => health.url);
+    const divergentNodes = divergent.map(({ health }) => health.url);
+    this.metric.verifications.inc({ method: name, outcome: "inconsistent" });
+    this.errorStats.totalErrors++;
+    this.errorStats.consistencyErrors++;
+    this.logger.warn("Nodes disagree on a verified call", {
+      method: name,
+      nodes,
+      divergent: divergentNodes,
+    });
+    throw new RpcError(
+      RPC_ERRORS.CONSISTENCY_ERROR,
+      `consistency_error: upstream nodes disagree on ${name}`,
+      { nodes, divergent: divergentNodes }
+    );
+  }
+
+  // Node for the next attempt of a call to `name`, or -1 when no node may be
+  // called: the current node, then healthy nodes by score, then the others
+  // in configured order, preferring nodes not yet tried. Only nodes serving
+  // the method are considered, and only the pinned node while one is
+  // pinned.
+  pickNode(tried, name) {
+    if (this.pinnedNode) {
+      const pinned = this.nodeHealth[this.currentNodeIndex];
+      return pinned.capabilities.supports(name) ? this.currentNodeIndex : -1;
+    }
+    const candidates = [
+      this.currentNodeIndex,
+      ...this.rankNodes(),
+      ...this.nodes.keys(),
+    ].filter((index) => this.canServe(this.nodeHealth[index], name));
+    const untried = candidates.find(
+      (index) =>
+        !tried.has(index) && this.nodeHealth[index].breaker.allowRequest()
+    );
+    if (untried !== undefined) return untried;
+    const retry = candidates.find((index) =>
+      this.nodeHealth[index].breaker.allowRequest()
+    );
+    return retry === undefined ? -1 : retry;
+  }
+
+  canServe(health, name) {
+    return health.enabled && health.capabilities.supports(name);
+  }
+
+  // dsteem retries a failing node until the timeout, so it bounds how long
+  // a call waits before the bridge fails over
+  createClient(url) {
+    return new Client(url, {
+      failoverThreshold: 0,
+      timeout: this.config.upstreamTimeoutMs,
+    });
+  }
+
+  // Probe every node on an interval
+  startNodeHealthMonitoring() {
+    const timer = setInterval(
+      () => this.checkNodeHealth(),
+      this.config.healthCheckIntervalMs
+    );
+    this.timers.push(timer);
+
+    this.logger.info("Node health monitoring started", {
+      intervalMs: this.config.healthCheckIntervalMs,
+      nodes: this.nodes.length,
+    });
+  }
+
+  // Probe every node in parallel, compare their heads with the highest one
+  // seen, then pick the active node from the new scores
+  async checkNodeHealth() {
+    const heads = await Promise.all(
+      this.nodeHealth.map((health) => this.probeNode(health))
+    );
+    const answered = heads.filter((head) => head !== null);
+    if (answered.length > 0) {
+      this.networkHead = Math.max(...answered);
+    }
+    this.nodeHealth.forEach((health) => {
+      const wasLagging = health.problem === "lagging";
+      health.updateLag(this.networkHead, this.config.maxHeadLagBlocks);
+      if (health.problem === "lagging" && !wasLagging) {
+        this.logger.warn("Node lagging behind the network head", {
+          node: health.url,
+          headBlock: health.headBlock,
+          networkHead: this.networkHead,
+        });
+      }
+    });
+    this.selectNode();
+  }
+
+  // Fetch a node's head block, and its method list when due. Returns null
+  // when the node does not answer or its breaker is open; after the
+  // cool-down the probe is the trial call.
+  async probeNode(health) {
+    if (!health.breaker.allowRequest()) return null;
+    const startTime = Date.now();
+    try {
+      const client = this.createClient(health.url);
+      const properties = await client.database.getDynamicGlobalProperties();
+      health.recordProbe(properties.head_block_number, Date.now() - startTime);
+      const { refreshedAt } = health.capabilities;
+      if (
+        refreshedAt === null ||
+        Date.now() - refreshedAt >= this.config.capabilityRefreshMs
+      ) {
+        await this.discoverMethods(health, client);
+      }
+      return properties.head_block_number;
+    } catch (error) {
+      health.recordProbeFailure(error, Date.now() - startTime);
+      this.logger.warn("Health check failed", { node: health.url, error });
+      this.reportError(error, "health_check");
+      return null;
+    }
+  }
+
+  // Ask the node which methods it serves. Nodes without jsonrpc.get_methods
+  // (or that fail to answer) are assumed to serve everything until calls
+  // show otherwise.
+  async discoverMethods(health, client) {
+    let methods = null;
+    try {
+      const result = await client.call("jsonrpc", "get_methods", {});
+      if (Array.isArray(result)) methods = result;
+    } catch (error) {
+      this.logger.debug("Cannot list node methods", {
+        node: health.url,
+        error,
+      });
+    }
+    health.capabilities.refresh(methods);
+    this.logger.debug("Node methods refreshed", {
+      node: health.url,
+      methods: methods ? methods.length : null,
+    });
+  }
+
+  // The one failover decision, made after every probe round and whenever a
+  // breaker opens. Leaves the current node when it is unhealthy or
+  // disabled, or when another node scores SCORE_SWITCH_RATIO times better
+  // and at least SCORE_SWITCH_MIN_MS lower, so nodes of similar speed do not
+  // flap.
+  selectNode() {
+    const current = this.nodeHealth[this.currentNodeIndex];
+    if (this.pinnedNode) {
+      if (!current.healthy) {
+        this.logger.warn("Node is pinned, not switching", {
+          node: this.pinnedNode,
+        });
+      }
+      return;
+    }
+    const [best] = this.rankNodes();
+    if (best === undefined) {
+      if (!current.healthy) {
+        this.logger.warn("All nodes unhealthy, using current node", {
+          node: current.url,
+        });
+      }
+      return;
+    }
+    if (best === this.currentNodeIndex) return;
+
+    if (!current.healthy || !current.enabled) {
+      this.logger.warn("Leaving unhealthy node", {
+        node: current.url,
+        problem: current.problem,
+        breaker: current.breaker.state,
+        to: this.nodes[best],
+      });
+      this.useNode(best, "unhealthy");
+      this.errorStats.autoRecoveries++;
+      return;
+    }
+
+    const currentScore = current.score();
+    const bestScore = this.nodeHealth[best].score();
+    if (
+      currentScore !== null &&
+      bestScore !== null &&
+      bestScore * SCORE_SWITCH_RATIO <= currentScore &&
+      currentScore - bestScore >= SCORE_SWITCH_MIN_MS
+    ) {
+      this.logger.info("Switching to a faster node", {
+        from: current.url,
+        to: this.nodes[best],
+        fromScore: currentScore,
+        toScore: bestScore,
+      });
+      this.useNode(best, "score");
+    }
+  }
+
+  // Drop cached data another node could answer differently: everything but
+  // blocks, headers and operations at or below the last irreversible block
+  clearReversibleCache() {
+    const lib = Math.max(
+      this.cache.globalProperties?.last_irreversible_block_num ?? -1,
+      this.lastIrreversibleBlock ?? -1
+    );
+    const kept = {};
+    ["blockHeaders", "blocks", "operations"].forEach((namespace) => {
+      const map = this.cache[namespace];
+      map.forEach((item, key) => {
+        // Keys start with the block number: "block_{n}", "ops_{n}_{virtual}"
+        const blockNumber = Number(key.split("_")[1]);
+        if (!(blockNumber <= lib)) map.delete(key);
+      });
+      kept[namespace] = map.size;
+    });
+
+    this.cache.globalProperties = null;
+    this.cache.activeWitnesses = null;
+    this.cache.market.clear();
+    this.cache.account.clear();
+    this.cache.other.clear();
+    this.cache.lastGlobalUpdate = 0;
+    this.cache.lastWitnessUpdate = 0;
+    this.logger.info("Cache cleared for node switch", {
+      lastIrreversibleBlock: lib === -1 ? null : lib,
+      kept,
+    });
+  }
+
+  clearCache() {
+    this.cache.globalProperties = null;
+    this.cache.activeWitnesses = null;
+    this.cache.blockHeaders.clear();
+    this.cache.blocks.clear();
+    this.cache.operations.clear();
+    this.cache.market.clear();
+    this.cache.account.clear();
+    this.cache.other.clear();
+    this.cache.lastGlobalUpdate = 0;
+    this.cache.lastWitnessUpdate = 0;
+    this.logger.info("Cache cleared");
+  }
+
+  // Smart cache with size management
+  setCacheItem(map, key, value) {
+    if (map.size >= this.cache.maxCacheSize) {
+      // Remove oldest items (LRU-style)
+      const oldestKey = map.keys().next().value;
+      map.delete(oldestKey);
+    }
+    map.set(key, { value, timestamp: Date.now() });
+  }
+
+  getCacheItem(namespace, key, ttl) {
+    const map = this.cache[namespace];
+    const item = map.get(key);
+    if (!item) {
+      this.recordCacheLookup(namespace, false);
+      return null;
+    }
+
+    if (Date.now() - item.timestamp > ttl) {
+      map.delete(key);
+      this.recordCacheLookup(namespace, false);
+      return null;
+    }
+
+    this.recordCacheLookup(namespace, true);
+    return item.value;
+  }
+
+  recordCacheLookup(namespace, hit) {
+    if (hit) {
+      this.errorStats.cacheHits++;
+    } else {
+      this.errorStats.cacheMisses++;
+    }
+    this.metric.cacheRequests.inc({ namespace, result: hit ? "hit" : "miss" });
+  }
+
+  // Entry point for a parsed WebSocket message (single request or batch)
+  async handleMessage(ws, data) {
+    // Follow-up pushes (e.g. initial subscription data) must reach the client
+    // after the response that acknowledges the subscription
+    const afterResponse = [];
+
+    const response = await this.executePayload(ws, data, afterResponse);
+    if (response) {
+      this.sendResponse(ws, response);
+    }
+
+    afterResponse.forEach((send) => send());
+  }
+
+  // Execute a single request or JSON-RPC batch independent of the transport.
+  // Returns the reply to send, or null when there is nothing to answer.
+  // HTTP callers pass { identity, client }: the identity their API key
+  // resolved to and their queue client (see clientKey); WebSocket requests
+  // use the connection for both.
+  async executePayload(ws, data, afterResponse, http = null) {
+    if (Array.isArray(data)) {
+      // Batches are always answered in JSON-RPC 2.0 format
+      if (data.length === 0 || data.length > this.maxBatchSize) {
+        const message =
+          data.length === 0
+            ? "Empty batch"
+            : `Batch too large. Max ${this.maxBatchSize} requests per batch.`;
+        return this.buildErrorResponse(
+          null,
+          new RpcError(RPC_ERRORS.INVALID_REQUEST, message),
+          true
+        );
+      }
+
+      const responses = await Promise.all(
+        data.map((request) =>
+          this.queueRequest(ws, request, true, afterResponse, http)
+        )
+      );
+
+      // Notifications produce no entry; an all-notification batch gets no reply
+      const batchResponse = responses.filter(Boolean);
+      return batchResponse.length > 0 ? batchResponse : null;
+    }
+
+    const jsonRpc = !!data && typeof data === "object" && "jsonrpc" in data;
+    return this.queueRequest(ws, data, jsonRpc, afterResponse, http);
+  }
+
+  // Run one request through the request queue, in the fast lane when it
+  // needs no upstream call. A full queue answers the request with an error.
+  queueRequest(ws, request, jsonRpc, afterResponse, http) {
+    return new Promise((resolve, reject) => {
+      const task = () =>
+        // Requests from clients that left while they waited are dropped
+        ws && ws.readyState !== WebSocket.OPEN
+          ? resolve(null)
+          : this.processRequest(
+              ws,
+              request,
+              jsonRpc,
+              afterResponse,
+              http?.identity
+            ).then(resolve, reject);
+      const lane = this.isCheapRequest(request) ? "fast" : "normal";
+      if (this.requestQueue.push(ws || http.client, task, lane)) return;
+
+      this.metric.queueRejections.inc();
+      const { id, method } =
+        request && typeof request === "object" ? request : {};
+      resolve(
+        this.buildErrorResponse(
+          jsonRpc && !this.isValidRpcId(id) ? null : id,
+          new RpcError(
+            RPC_ERRORS.QUEUE_FULL,
+            "Server queue full. Please retry in a moment."
+          ),
+          jsonRpc,
+          method
+        )
+      );
+    });
+  }
+
+  // Validate and execute one request. Returns the response envelope, or null
+  // for JSON-RPC notifications (requests without an id).
+  async processRequest(ws, request, jsonRpc, afterResponse, httpIdentity) {
+    if (jsonRpc) {
+      const validationError = this.validateJsonRpcRequest(request);
+      if (validationError) {
+        const id =
+          request &&
+          typeof request === "object" &&
+          this.isValidRpcId(request.id)
+            ? request.id
+            : null;
+        return this.buildErrorResponse(id, validationError, true);
+      }
+    }
+
+    const {
+      id,
+      method,
+      params = [],
+      verified = false,
+    } = request && typeof request === "object" ? request : {};
+    const isNotification = jsonRpc && !("id" in request);
+
+    if (!method) {
+      return this.buildErrorResponse(
+        id,
+        new RpcError(RPC_ERRORS.INVALID_REQUEST, "Method is required"),
+        false
+      );
+    }
+
+    // Every line about this request carries its id
+    const log = (ws?.logger || this.logger).child({
+      requestId: crypto.randomBytes(4).toString("hex"),
+    });
+    log.debug("Request received", { method, rpcId: id, params });
+    const startTime = Date.now();
+    const methodLabel = this.methodLabel(method);
+    const identity = ws ? ws.identity : httpIdentity;
+    if (identity) this.apiKeys.recordRequest(identity);
+
+    try {
+      this.authorizeMethod(identity, methodLabel);
+      const result = await this.dispatchMethod(
+        ws,
+        method,
+        params,
+        afterResponse,
+        verified === true ||
+          this.config.verification.methods.includes(methodLabel)
+      );
+
+      this.recordRequest(methodLabel, "success", startTime);
+      log.debug("Request answered", {
+        method,
+        durationMs: Date.now() - startTime,
+      });
+      return isNotification ? null : this.buildResponse(id, result, jsonRpc);
+    } catch (error) {
+      this.recordRequest(methodLabel, "error", startTime);
+      const errorMessage =
+        error?.message || error?.toString() || "Unknown error occurred";
+      const kind = classifyError(error);
+      if (kind === "client") {
+        this.errorStats.clientErrors++;
+      }
+
+      log.warn("Request failed", {
+        method,
+        rpcId: id,
+        durationMs: Date.now() - startTime,
+        error: errorMessage,
+        kind,
+      });
+
+      return isNotification
+        ? null
+        : this.buildErrorResponse(id, error, jsonRpc, method);
+    }
+  }
+
+  // Metric label for a requested method: the registry name, a subscription
+  // method, or "unknown" so arbitrary client input cannot add series
+  methodLabel(method) {
+    if (SUBSCRIPTION_METHODS.includes(method) || method === "authenticate") {
+      return method;
+    }
+    const entry =
+      typeof method === "string" ? this.methodRegistry.resolve(method) : null;
+    return entry ? entry.name : "unknown";
+  }
+
+  recordRequest(method, outcome, startTime) {
+    this.metric.requests.inc({ method, outcome });
+    this.metric.requestDuration.observeSince({ method }, startTime);
+  }
+
+  // Throws unless the client's tier may call the method (a methodLabel).
+  // Unknown methods pass through to be answered with METHOD_NOT_FOUND.
+  authorizeMethod(identity, method) {
+    if (method === "authenticate") return;
+    if (!identity) {
+      throw new RpcError(
+        RPC_ERRORS.UNAUTHORIZED,
+        "API key required. Connect with one or call authenticate first."
+      );
+    }
+    const { methods } = this.config.tiers[identity.tier];
+    if (!methods || method === "unknown") return;
+    if (!methods.some((pattern) => matchesMethodPattern(pattern, method))) {
+      this.apiKeys.recordRejection(identity);
+      throw new RpcError(
+        RPC_ERRORS.FORBIDDEN,
+        `${method} is not available on the ${identity.tier} tier`
+      );
+    }
+  }
+
+  // Structural checks required by the JSON-RPC 2.0 spec
+  validateJsonRpcRequest(request) {
+    if (!request || typeof request !== "object" || Array.isArray(request)) {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "Request must be an object"
+      );
+    }
+    if (request.jsonrpc !== "2.0") {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        'jsonrpc must be exactly "2.0"'
+      );
+    }
+    if (typeof request.method !== "string" || request.method.length === 0) {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "method must be a non-empty string"
+      );
+    }
+    if ("id" in request && !this.isValidRpcId(request.id)) {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "id must be a string, number or null"
+      );
+    }
+    if (
+      request.params !== undefined &&
+      (request.params === null || typeof request.params !== "object")
+    ) {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "params must be an array or object"
+      );
+    }
+    if (
+      request.verified !== undefined &&
+      typeof request.verified !== "boolean"
+    ) {
+      return new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "verified must be a boolean"
+      );
+    }
+    return null;
+  }
+
+  isValidRpcId(id) {
+    return id === null || typeof id === "string" || typeof id === "number";
+  }
+
+  buildResponse(id, result, jsonRpc) {
+    if (jsonRpc) {
+      return { jsonrpc: "2.0", id, result };
+    }
+    return { id, result, type: "response" };
+  }
+
+  buildErrorResponse(id, error, jsonRpc, method) {
+    const message =
+      error?.message || error?.toString() || "Unknown error occurred";
+
+    if (jsonRpc) {
+      const rpcError = {
+        code: error instanceof RpcError ? error.code : RPC_ERRORS.SERVER_ERROR,
+        message,
+      };
+      if (error instanceof RpcError && error.data !== undefined) {
+        rpcError.data = error.data;
+      }
+      return {
+        jsonrpc: "2.0",
+        id: id === undefined ? null : id,
+        error: rpcError,
+      };
+    }
+
+    // Legacy envelope
+    const response = { id: id || "unknown", error: message, type: "error" };
+    if (method) {
+      response.method = method;
+    }
+    if (error instanceof RpcError && error.data !== undefined) {
+      response.data = error.data;
+    }
+    return response;
+  }
+
+  // JSON-RPC over HTTP POST, sharing the WebSocket dispatch and cache layer
+  handleHttpRpc(req, res) {
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    const reply = (statusCode, body) => {
+      if (body === null) {
+        res.writeHead(statusCode);
+        res.end();
+        return;
+      }
+      res.writeHead(statusCode, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const apiKey = this.requestApiKey(req);
+    const identity =
+      apiKey === null ? this.anonymousIdentity() : this.apiKeys.lookup(apiKey);
+    const client = this.clientKey(identity, apiKey, req.socket.remoteAddress);
+    if (apiKey !== null && !identity) {
+      req.resume();
+      reply(
+        401,
+        this.buildErrorResponse(
+          null,
+          new RpcError(RPC_ERRORS.UNAUTHORIZED, "Invalid API key"),
+          true
+        )
+      );
+      return;
+    }
+
+    req.on("data", (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > this.maxPayload) {
+        aborted = true;
+        reply(
+          413,
+          this.buildErrorResponse(
+            null,
+            new RpcError(
+              RPC_ERRORS.INVALID_REQUEST,
+              `Request body too large. Max ${this.maxPayload} bytes.`
+            ),
+            true
+          )
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", async () => {
+      if (aborted) return;
+
+      let data;
+      try {
+        data = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (error) {
+        reply(
+          200,
+          this.buildErrorResponse(
+            null,
+            new RpcError(RPC_ERRORS.PARSE_ERROR, "Parse error", {
+              message: error.message,
+            }),
+            true
+          )
+        );
+        return;
+      }
+
+      // Every request in a batch counts against the rate limit
+      const limit = this.requestsPerMinute(identity);
+      const count = Array.isArray(data) ? Math.max(data.length, 1) : 1;
+      if (!this.rateLimiter.take(client, limit, count)) {
+        this.metric.rateLimited.inc();
+        if (identity) this.apiKeys.recordRejection(identity);
+        reply(
+          429,
+          this.buildErrorResponse(
+            null,
+            new RpcError(
+              RPC_ERRORS.RATE_LIMITED,
+              `Rate limit exceeded. Max ${limit} requests per minute.`,
+              {
+                rateLimitReset: new Date(
+                  this.rateLimiter.usage(client).resetAt
+                ).toISOString(),
+              }
+            ),
+            true
+          )
+        );
+        return;
+      }
+
+      try {
+        const response = await this.executePayload(null, data, [], {
+          identity,
+          client,
+        });
+        // Notifications only: nothing to return
+        reply(response ? 200 : 204, response);
+      } catch (error) {
+        this.logger.error("HTTP RPC error", { error });
+        reply(
+          500,
+          this.buildErrorResponse(
+            null,
+            new RpcError(RPC_ERRORS.INTERNAL_ERROR, "Internal error"),
+            true
+          )
+        );
+      }
+    });
+
+    req.on("error", (error) => {
+      this.logger.warn("HTTP request error", { error });
+    });
+  }
+
+  sendResponse(ws, response) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(response));
+    }
+  }
+
+  // Route a method name to a subscription handler or the method registry.
+  // `verified` asks for an answer checked across nodes (see callVerified):
+  // set by the client per request or by verification.methods.
+  async dispatchMethod(ws, method, params, afterResponse, verified = false) {
+    // HTTP requests have no socket to push subscription updates to
+    if (
+      !ws &&
+      (method === "subscribe" ||
+        method === "unsubscribe" ||
+        method.startsWith("subscribe_") ||
+        method.startsWith("unsubscribe_"))
+    ) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        "Subscriptions require a WebSocket connection"
+      );
+    }
+
+    const options = (Array.isArray(params) ? params[0] : params) || {};
+
+    switch (method) {
+      case "authenticate":
+        if (!ws) {
+          throw new RpcError(
+            RPC_ERRORS.INVALID_REQUEST,
+            "Send the API key in an X-API-Key header over HTTP"
+          );
+        }
+        return this.authenticate(ws, options.api_key ?? params[0]);
+
+      // Generic subscription protocol: subscribe(topic, options) returns a
+      // subscription id, unsubscribe(subscriptionId) removes it
+      case "subscribe": {
+        const [topic, topicOptions = {}] = Array.isArray(params)
+          ? params
+          : [params.topic, params.options];
+        return this.subscribe(ws, topic, topicOptions, afterResponse);
+      }
+
+      case "unsubscribe":
+        return this.unsubscribe(
+          ws,
+          Array.isArray(params) ? params[0] : params.subscription_id
+        );
+
+      // Per-topic aliases kept for existing clients
+      case "subscribe_global_properties":
+        return this.subscribe(ws, "global_properties", {}, afterResponse, true);
+
+      case "unsubscribe_global_properties":
+        return this.unsubscribeTopic(ws, "global_properties");
+
+      case "subscribe_blocks":
+        return this.subscribe(ws, "blocks", options, afterResponse, true);
+
+      case "unsubscribe_blocks":
+        return this.unsubscribeTopic(ws, "blocks");
+
+      // Blocks that have passed the last irreversible block
+      case "subscribe_irreversible_blocks":
+        return this.subscribe(
+          ws,
+          "irreversible_blocks",
+          options,
+          afterResponse,
+          true
+        );
+
+      case "unsubscribe_irreversible_blocks":
+        return this.unsubscribeTopic(ws, "irreversible_blocks");
+
+      // Block headers subscription
+      case "subscribe_block_headers":
+        return this.subscribe(ws, "block_headers", {}, afterResponse, true);
+
+      case "unsubscribe_block_headers":
+        return this.unsubscribeTopic(ws, "block_headers");
+
+      // Operations subscription
+      case "subscribe_operations":
+        return this.subscribe(ws, "operations", options, afterResponse, true);
+
+      case "unsubscribe_operations": {
+        // With a subscription id only that subscription is removed
+        const subscriptionId = Array.isArray(params)
+          ? params[0]
+          : params.subscription_id;
+        if (subscriptionId !== undefined) {
+          return this.unsubscribe(ws, subscriptionId);
+        }
+        return this.unsubscribeTopic(ws, "operations");
+      }
+
+      // Witnesses subscription
+      case "subscribe_witnesses":
+        return this.subscribe(ws, "witnesses", {}, afterResponse, true);
+
+      case "unsubscribe_witnesses":
+        return this.unsubscribeTopic(ws, "witnesses");
+
+      case "subscribe_power_meter":
+        return this.subscribe(
+          ws,
+          "power_meter",
+          { username: Array.isArray(params) ? params[0] : params.username },
+          afterResponse,
+          true
+        );
 
-    if (!method) {
-      ws.send(
-        JSON.stringify({
-          id,
-          error: "Method is required",
-          type: "error",
-        })
+      case "unsubscribe_power_meter":
+        return this.unsubscribeTopic(ws, "power_meter");
+
+      // Inclusion and finality of one transaction; a socket may watch several
+      case "subscribe_transaction":
+        return this.subscribe(
+          ws,
+          "transaction",
+          Array.isArray(params) ? { txid: params[0], ...params[1] } : params,
+          afterResponse
+        );
+
+      case "unsubscribe_transaction":
+        return this.unsubscribeTopic(ws, "transaction");
+
+      // Everything else goes through the allowlisted method registry
+      default:
+        return this.callMethod(method, params, { verified });
+    }
+  }
+
+  // CRITICAL HIGH-FREQUENCY API with enhanced caching and error handling
+  async getDynamicGlobalProperties() {
+    const now = Date.now();
+
+    // Return cached result if still valid
+    if (
+      this.cache.globalProperties &&
+      now - this.cache.lastGlobalUpdate < this.cache.globalTTL
+    ) {
+      this.recordCacheLookup("globalProperties", true);
+      return this.cache.globalProperties;
+    }
+
+    try {
+      const result = await this.singleFlight(
+        "condenser_api.get_dynamic_global_properties:[]",
+        () =>
+          this.callSteemAPI(
+            "condenser_api",
+            "get_dynamic_global_properties",
+            []
+          )
       );
-      return;
+
+      // Cache the result with timestamp
+      this.cache.globalProperties = result;
+      this.cache.lastGlobalUpdate = now;
+      this.recordCacheLookup("globalProperties", false);
+
+      this.logger.debug("Global properties updated", {
+        headBlock: result.head_block_number,
+        node: this.nodes[this.currentNodeIndex],
+      });
+      return result;
+    } catch (error) {
+      // Return stale cache if available during errors
+      if (this.cache.globalProperties) {
+        this.logger.warn("Using stale global properties after API error", {
+          error,
+        });
+        this.recordCacheLookup("globalProperties", true);
+        return this.cache.globalProperties;
+      }
+      throw error;
     }
+  }
+
+  async getActiveWitnesses() {
+    const now = Date.now();
 
-    console.log(`Received request: ${method} with params:`, params);
+    // Return cached result if still valid
+    if (
+      this.cache.activeWitnesses &&
+      now - this.cache.lastWitnessUpdate < this.cache.witnessTTL
+    ) {
+      this.recordCacheLookup("activeWitnesses", true);
+      return this.cache.activeWitnesses;
+    }
 
     try {
-      let result;
+      const result = await this.singleFlight(
+        "condenser_api.get_active_witnesses:[]",
+        () => this.callSteemAPI("condenser_api", "get_active_witnesses", [])
+      );
 
-      switch (method) {
-        case "condenser_api.get_dynamic_global_properties":
-        case "get_dynamic_global_properties":
-          result = await this.getDynamicGlobalProperties();
-          break;
+      // Cache the result
+      const previousWitnesses = this.cache.activeWitnesses;
+      this.cache.activeWitnesses = result;
+      this.cache.lastWitnessUpdate = now;
+      this.recordCacheLookup("activeWitnesses", false);
 
-        case "condenser_api.get_block_header":
-        case "get_block_header":
-          if (!params[0]) {
-            throw new Error("Block number is required");
-          }
-          result = await this.getBlockHeader(params[0]);
-          break;
+      // Broadcast to witness subscribers if data changed
+      if (
+        this.subscribers.witnesses.size > 0 &&
+        JSON.stringify(previousWitnesses) !== JSON.stringify(result)
+      ) {
+        this.broadcastToSubscribers(
+          this.liveSubscriptions("witnesses"),
+          result
+        );
+      }
 
-        case "condenser_api.get_block":
-        case "get_block":
-          if (!params[0]) {
-            throw new Error("Block number is required");
-          }
-          result = await this.getBlock(params[0]);
-          break;
+      this.logger.debug("Active witnesses retrieved", {
+        witnesses: result.length,
+        node: this.nodes[this.currentNodeIndex],
+      });
+      return result;
+    } catch (error) {
+      // Return stale cache if available during errors
+      if (this.cache.activeWitnesses) {
+        this.logger.warn("Using stale witnesses after API error", { error });
+        this.recordCacheLookup("activeWitnesses", true);
+        return this.cache.activeWitnesses;
+      }
+      throw error;
+    }
+  }
+
+  // Generic allowlisted passthrough: validate params, serve from the entry's
+  // cache namespace when configured, otherwise proxy to the current node.
+  // Verified calls skip handlers, the cache and batching and go to several
+  // nodes.
+  async callMethod(name, params = [], { verified = false } = {}) {
+    const entry = this.methodRegistry.resolve(name);
+    if (!entry) {
+      throw new RpcError(
+        RPC_ERRORS.METHOD_NOT_FOUND,
+        `Unsupported method: ${name}`
+      );
+    }
+
+    const validationError = this.methodRegistry.validateParams(entry, params);
+    if (validationError) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, validationError);
+    }
+    const callParams = this.methodRegistry.applyDefaults(entry, params);
+
+    if (verified) {
+      if (!this.methodRegistry.isVerifiable(entry)) {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_REQUEST,
+          `${entry.name} changes with every block and cannot be verified`
+        );
+      }
+      return this.callVerified(entry.api, entry.method, callParams);
+    }
+
+    if (entry.handler) {
+      return this[entry.handler](callParams);
+    }
+
+    if (!entry.cache) {
+      return this.fetchMethod(entry, callParams);
+    }
+
+    const { namespace } = entry.cache;
+    const map = this.cache[namespace];
+    const ttl = entry.cache.ttl ?? this.cache[CACHE_NAMESPACE_TTLS[namespace]];
+    const cacheKey = this.methodRegistry.cacheKey(entry, callParams);
+
+    const cached = this.getCacheItem(namespace, cacheKey, ttl);
+    if (cached) return cached;
+
+    const key = this.inFlightKey(entry, callParams);
+    const request = this.singleFlight(key, async () => {
+      const result = await this.fetchMethod(entry, callParams);
+      // Not cached if invalidated while in flight (e.g. an orphaned block)
+      if (
+        this.inFlight.get(key) === request &&
+        !this.isUnproducedBlock(namespace, callParams)
+      ) {
+        this.setCacheItem(map, cacheKey, result);
+      }
+      return result;
+    });
+    return request;
+  }
+
+  // Nodes answer null or [] for blocks they have not produced yet, which
+  // must not stay cached as the block's contents. Block numbers above the
+  // last known head are treated as such (none are before a head is known).
+  isUnproducedBlock(namespace, params) {
+    if (!["blockHeaders", "blocks", "operations"].includes(namespace)) {
+      return false;
+    }
+    const head = Math.max(
+      this.cache.globalProperties?.head_block_number ?? -1,
+      this.lastProcessedBlock ?? -1
+    );
+    return head !== -1 && !(Number(params[0]) <= head);
+  }
+
+  // Upstream call for a registry entry, batched with other single-account
+  // lookups where the entry allows it
+  async fetchMethod(entry, params) {
+    const name = this.methodRegistry.batchName(entry, params);
+    if (name === null) {
+      return this.callSteemAPI(entry.api, entry.method, params);
+    }
+    const item = await this.accountBatcher.load(entry, name);
+    return this.methodRegistry.batchResult(entry, item);
+  }
+
+  inFlightKey(entry, params) {
+    return `${entry.name}:${JSON.stringify(params)}`;
+  }
+
+  // Run fetch unless an identical call is already in flight, in which case
+  // its promise is shared
+  singleFlight(key, fetch) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      this.errorStats.coalescedRequests++;
+      this.metric.coalesced.inc();
+      return pending;
+    }
+
+    const request = fetch().finally(() => {
+      if (this.inFlight.get(key) === request) {
+        this.inFlight.delete(key);
+      }
+    });
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  // Shortcuts used by the block streamer and power meter
+  getBlockHeader(blockNumber) {
+    return this.callMethod("condenser_api.get_block_header", [blockNumber]);
+  }
+
+  getBlock(blockNumber) {
+    return this.callMethod("condenser_api.get_block", [blockNumber]);
+  }
+
+  getOpsInBlock(blockNumber, onlyVirtual = false) {
+    return this.callMethod("condenser_api.get_ops_in_block", [
+      blockNumber,
+      onlyVirtual,
+    ]);
+  }
+
+  getTransaction(transactionId) {
+    return this.callMethod("condenser_api.get_transaction", [transactionId]);
+  }
+
+  findAccounts(params) {
+    return this.callMethod("database_api.find_accounts", params);
+  }
 
-        case "condenser_api.get_ops_in_block":
-        case "get_ops_in_block":
-          if (!params[0]) {
-            throw new Error("Block number is required");
+  getRewardFund(params) {
+    return this.callMethod("condenser_api.get_reward_fund", params);
+  }
+
+  findRCAccounts(params) {
+    return this.callMethod("rc_api.find_rc_accounts", params);
+  }
+
+  getCurrentMedianHistoryPrice(params) {
+    return this.callMethod(
+      "condenser_api.get_current_median_history_price",
+      params
+    );
+  }
+
+  // Power Meter Aggregator
+  async getPowerMeterData(username) {
+    try {
+      const [accounts, rewardFund, rcAccounts, medianPrice] = await Promise.all(
+        [
+          this.findAccounts({ accounts: [username] }),
+          this.getRewardFund(["post"]),
+          this.findRCAccounts({ accounts: [username] }),
+          this.getCurrentMedianHistoryPrice([]),
+        ]
+      );
+
+      return {
+        username,
+        account: accounts.accounts[0],
+        rc_account: rcAccounts.rc_accounts[0],
+        reward_fund: rewardFund,
+        median_history_price: medianPrice,
+      };
+    } catch (error) {
+      this.logger.error("Power meter aggregation failed", {
+        username,
+        error,
+      });
+      return null;
+    }
+  }
+
+  async sendPowerMeterUpdate(subscription) {
+    const data = await this.getPowerMeterData(subscription.username);
+    if (data && this.isSubscribed(subscription)) {
+      this.sendSubscriptionUpdate(subscription, data);
+    }
+  }
+
+  // Setup periodic updates for critical data
+  setupPeriodicUpdates() {
+    // Update global properties every few seconds (matches client requirements)
+    const timer = setInterval(
+      () => this.periodicUpdate(),
+      this.config.updateIntervalMs
+    );
+    this.timers.push(timer);
+
+    this.logger.info("Periodic updates started", {
+      intervalMs: this.config.updateIntervalMs,
+    });
+  }
+
+  // Refresh global properties, broadcast them and advance the block streams
+  async periodicUpdate() {
+    try {
+      const previousBlock = this.cache.globalProperties?.head_block_number;
+      await this.getDynamicGlobalProperties();
+
+      // Only broadcast if data actually changed
+      const currentBlock = this.cache.globalProperties?.head_block_number;
+      if (
+        this.wss &&
+        this.cache.globalProperties &&
+        currentBlock !== previousBlock
+      ) {
+        // Broadcast to subscribers only (more efficient)
+        if (this.subscribers.globalProperties.size > 0) {
+          this.broadcastToSubscribers(
+            this.liveSubscriptions("global_properties"),
+            this.cache.globalProperties
+          );
+        }
+
+        // Legacy broadcast for backward compatibility
+        const legacyMessage = JSON.stringify({
+          type: "broadcast",
+          method: "dynamic_global_properties_update",
+          data: this.cache.globalProperties,
+          timestamp: new Date().toISOString(),
+        });
+
+        let broadcastCount = 0;
+        this.wss.clients.forEach((client) => {
+          const subscribed = Array.from(client.subscriptions.values()).some(
+            (subscription) => subscription.topic === "global_properties"
+          );
+          if (client.readyState === WebSocket.OPEN && !subscribed) {
+            client.send(legacyMessage);
+            broadcastCount++;
           }
-          result = await this.getOpsInBlock(params[0], params[1] || false);
-          break;
+        });
+
+        if (broadcastCount > 0) {
+          this.logger.info("Legacy block broadcast", {
+            event: "broadcast",
+            blockNumber: currentBlock,
+            recipients: broadcastCount,
+          });
+        }
+      }
+
+      // Stream every block up to the new head (runs in the background and
+      // catches up on blocks missed by earlier polls)
+      if (this.cache.globalProperties) {
+        this.streamNewBlocks(currentBlock);
+        this.streamIrreversibleBlocks(
+          this.cache.globalProperties.last_irreversible_block_num
+        );
+      }
+
+      // Process Power Meter Subscriptions periodically
+      // We do this every 5 seconds to match user requirements
+      if (
+        Date.now() - (this.lastPowerMeterUpdate || 0) >= 5000 &&
+        this.subscribers.powerMeter.size > 0
+      ) {
+        this.lastPowerMeterUpdate = Date.now();
+        this.processPowerMeterSubscriptions();
+      }
+    } catch (error) {
+      this.logger.error("Periodic update failed", { error });
+      this.reportError(error, "periodic_update");
+    }
+  }
+
+  async processPowerMeterSubscriptions() {
+    // De-duplicate users to batch requests effectively (not implemented fully here but prepared)
+    const activeSubs = this.liveSubscriptions("power_meter");
+
+    // We process sequentially or in small batches to avoid hitting rate limits
+    // Since we cached individual API calls, subsequent requests for same user will hit cache
+    for (const subscription of activeSubs) {
+      if (subscription.ws.readyState === WebSocket.OPEN) {
+        // We intentionally don't await this to preventing blocking the main loop
+        // but we should be careful about congestion.
+        this.sendPowerMeterUpdate(subscription).catch((err) =>
+          subscription.ws.logger.error("Power meter update failed", {
+            subscriptionId: subscription.id,
+            username: subscription.username,
+            error: err,
+          })
+        );
+      } else {
+        this.removeSubscription(subscription);
+      }
+    }
+  }
+
+  // Create a subscription and return its acknowledgement. Block topics and
+  // operations accept from_block (replay history first, then go live), and
+  // operations also accept a filter and irreversible (deliver only past the
+  // LIB). The per-topic alias methods keep their old one-feed-per-socket
+  // behaviour by replacing the socket's previous unfiltered alias
+  // subscription to the same topic.
+  async subscribe(ws, topic, options, afterResponse, alias = false) {
+    if (!SUBSCRIPTION_TOPICS[topic]) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `Unknown subscription topic: ${topic}`,
+        { topics: Object.keys(SUBSCRIPTION_TOPICS) }
+      );
+    }
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        "Subscription options must be an object"
+      );
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      ws,
+      topic,
+      alias,
+      live: false,
+      irreversible: topic === "irreversible_blocks",
+      filter: null,
+      username: null,
+      transaction: null,
+    };
+
+    if (options.filter !== undefined) {
+      if (topic !== "operations") {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          "filter is only supported for operation subscriptions"
+        );
+      }
+      try {
+        subscription.filter = normalizeOperationFilter(options.filter);
+      } catch (error) {
+        throw new RpcError(RPC_ERRORS.INVALID_PARAMS, error.message);
+      }
+    }
+
+    if (options.irreversible !== undefined) {
+      if (topic !== "operations") {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          "irreversible is only supported for operation subscriptions"
+        );
+      }
+      if (typeof options.irreversible !== "boolean") {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          "irreversible must be a boolean"
+        );
+      }
+      subscription.irreversible = options.irreversible;
+    }
+
+    if (topic === "power_meter") {
+      if (!options.username || typeof options.username !== "string") {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          "Username required for power meter subscription"
+        );
+      }
+      subscription.username = options.username;
+    }
+
+    if (topic === "transaction") {
+      subscription.transaction = this.createTransactionWatch(options);
+    }
+
+    let fromBlock = null;
+    if (options.from_block !== undefined) {
+      if (!["blocks", "irreversible_blocks", "operations"].includes(topic)) {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          "from_block is only supported for block and operation subscriptions"
+        );
+      }
+      fromBlock = await this.validateFromBlock(
+        options.from_block,
+        subscription.irreversible
+      );
+    }
+
+    if (alias && !subscription.filter) {
+      ws.subscriptions.forEach((existing) => {
+        if (
+          existing.alias &&
+          existing.topic === topic &&
+          existing.irreversible === subscription.irreversible &&
+          !existing.filter
+        ) {
+          this.removeSubscription(existing);
+        }
+      });
+    }
+
+    const { maxSubscriptions } = this.tierLimits(ws);
+    if (
+      maxSubscriptions !== null &&
+      ws.subscriptions.size >= maxSubscriptions
+    ) {
+      this.apiKeys.recordRejection(ws.identity);
+      throw new RpcError(
+        RPC_ERRORS.FORBIDDEN,
+        `Subscription limit reached. Max ${maxSubscriptions} on the ${ws.identity.tier} tier.`
+      );
+    }
 
-        case "condenser_api.get_active_witnesses":
-        case "get_active_witnesses":
-          result = await this.getActiveWitnesses();
-          break;
+    const result = {
+      subscribed: true,
+      type: topic,
+      subscription_id: subscription.id,
+    };
+    if (subscription.username) {
+      result.user = subscription.username;
+    }
+    if (subscription.transaction) {
+      result.txid = subscription.transaction.txid;
+      result.timeout_blocks = subscription.transaction.timeoutBlocks;
+    }
 
-        case "condenser_api.get_transaction":
-        case "get_transaction":
-          if (!params[0]) {
-            throw new Error("Transaction ID is required");
-          }
-          result = await this.getTransaction(params[0]);
-          break;
+    // Replaying subscriptions only go live once they catch up
+    if (fromBlock !== null) {
+      this.addSubscription(subscription);
+      afterResponse.push(() => this.replayBlocks(subscription, fromBlock));
+      return { ...result, from_block: fromBlock };
+    }
 
-        case "market_history_api.get_ticker":
-        case "get_ticker":
-          result = await this.getTicker(params);
-          break;
+    subscription.live = true;
+    this.addSubscription(subscription);
+    afterResponse.push(() => this.sendInitialUpdate(subscription));
+    return result;
+  }
 
-        case "market_history_api.get_order_book":
-        case "get_order_book":
-          // params: [limit] or [asset1, asset2]? Steem market_history...
-          // usually get_order_book(limit) for internal market?
-          // We pass whatever params the user sends.
-          result = await this.getOrderBook(params);
-          break;
+  unsubscribe(ws, subscriptionId) {
+    const subscription = ws.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `Unknown subscription id: ${subscriptionId}`
+      );
+    }
+    this.removeSubscription(subscription);
+    return {
+      unsubscribed: true,
+      type: subscription.topic,
+      subscription_id: subscriptionId,
+    };
+  }
 
-        case "market_history_api.get_recent_trades":
-        case "get_recent_trades":
-          result = await this.getRecentTrades(params);
-          break;
+  // Remove every subscription the socket holds for a topic
+  unsubscribeTopic(ws, topic) {
+    ws.subscriptions.forEach((subscription) => {
+      if (subscription.topic === topic) {
+        this.removeSubscription(subscription);
+      }
+    });
+    return { unsubscribed: true, type: topic };
+  }
 
-        case "condenser_api.get_accounts":
-        case "get_accounts":
-          if (!params[0] || !Array.isArray(params[0]))
-            throw new Error("Array of account names required");
-          result = await this.getAccounts(params);
-          break;
+  addSubscription(subscription) {
+    this.subscribers[SUBSCRIPTION_TOPICS[subscription.topic]].set(
+      subscription.id,
+      subscription
+    );
+    subscription.ws.subscriptions.set(subscription.id, subscription);
+  }
 
-        case "market_history_api.get_market_history":
-        case "get_market_history":
-          if (params.length < 3)
-            throw new Error("Bucket seconds, start, and end time required");
-          result = await this.getMarketHistory(params);
-          break;
+  removeSubscription(subscription) {
+    this.subscribers[SUBSCRIPTION_TOPICS[subscription.topic]].delete(
+      subscription.id
+    );
+    subscription.ws.subscriptions.delete(subscription.id);
+  }
 
-        case "condenser_api.get_account_history":
-        case "get_account_history":
-          if (!params[0]) throw new Error("Account name required");
-          result = await this.getAccountHistory(params);
-          break;
+  isSubscribed(subscription) {
+    return (
+      this.subscribers[SUBSCRIPTION_TOPICS[subscription.topic]].get(
+        subscription.id
+      ) === subscription
+    );
+  }
 
-        case "condenser_api.get_witnesses_by_vote":
-        case "get_witnesses_by_vote":
-          result = await this.getWitnessesByVote(params);
-          break;
+  // Subscriptions receiving the head stream, or with irreversible set the
+  // irreversible stream
+  liveSubscriptions(topic, irreversible = false) {
+    return Array.from(
+      this.subscribers[SUBSCRIPTION_TOPICS[topic]].values()
+    ).filter(
+      (subscription) =>
+        subscription.live && subscription.irreversible === irreversible
+    );
+  }
 
-        case "condenser_api.get_vesting_delegations":
-        case "get_vesting_delegations":
-          if (!params[0]) throw new Error("Account name required");
-          result = await this.getVestingDelegations(params);
-          break;
+  // Whether any subscription follows a stream for a topic, counting ones
+  // still replaying: they may go live while a block is being fetched
+  followsStream(topic, irreversible = false) {
+    return Array.from(
+      this.subscribers[SUBSCRIPTION_TOPICS[topic]].values()
+    ).some((subscription) => subscription.irreversible === irreversible);
+  }
 
-        case "database_api.find_accounts":
-        case "find_accounts":
-          if (!params.accounts) throw new Error("accounts parameter required");
-          result = await this.findAccounts(params);
-          break;
+  // Last block delivered by the stream a subscription follows
+  streamedBlock(subscription) {
+    return subscription.irreversible
+      ? this.lastIrreversibleBlock
+      : this.lastProcessedBlock;
+  }
 
-        case "condenser_api.get_reward_fund":
-        case "get_reward_fund":
-          if (!params[0]) throw new Error("Reward fund name required");
-          result = await this.getRewardFund(params);
-          break;
+  // Push current data right after subscribing, where the topic has any
+  async sendInitialUpdate(subscription) {
+    switch (subscription.topic) {
+      case "global_properties":
+        if (this.cache.globalProperties) {
+          this.sendSubscriptionUpdate(
+            subscription,
+            this.cache.globalProperties
+          );
+        }
+        break;
+      case "witnesses":
+        if (this.cache.activeWitnesses) {
+          this.sendSubscriptionUpdate(subscription, this.cache.activeWitnesses);
+        }
+        break;
+      case "power_meter":
+        await this.sendPowerMeterUpdate(subscription);
+        break;
+      case "transaction":
+        await this.lookUpTransaction(subscription);
+        break;
+    }
+  }
 
-        case "rc_api.find_rc_accounts":
-        case "find_rc_accounts":
-          if (!params.accounts) throw new Error("accounts parameter required");
-          result = await this.findRCAccounts(params);
-          break;
+  createTransactionWatch(options) {
+    const {
+      txid,
+      timeout_blocks: timeoutBlocks = MAX_TRANSACTION_WAIT_BLOCKS,
+    } = options;
+    if (typeof txid !== "string" || !/^[0-9a-f]{40}$/i.test(txid)) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        "txid must be a 40 character hex transaction id"
+      );
+    }
+    if (
+      !Number.isInteger(timeoutBlocks) ||
+      timeoutBlocks < 1 ||
+      timeoutBlocks > MAX_TRANSACTION_WAIT_BLOCKS
+    ) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `timeout_blocks must be an integer from 1 to ${MAX_TRANSACTION_WAIT_BLOCKS}`
+      );
+    }
+    return {
+      txid: txid.toLowerCase(),
+      timeoutBlocks,
+      blocksWatched: 0,
+      blockNum: null,
+      trxNum: null,
+    };
+  }
 
-        case "condenser_api.get_current_median_history_price":
-        case "get_current_median_history_price":
-          result = await this.getCurrentMedianHistoryPrice(params);
-          break;
+  // The transaction may have been included before the subscription was made;
+  // get_transaction finds it in that case. Nodes answer with an error for
+  // unknown transactions, which leaves the watch to the block stream.
+  async lookUpTransaction(subscription) {
+    let result;
+    try {
+      result = await this.getTransaction(subscription.transaction.txid);
+    } catch (error) {
+      return;
+    }
+    if (
+      result &&
+      Number.isInteger(result.block_num) &&
+      this.isSubscribed(subscription) &&
+      subscription.transaction.blockNum === null
+    ) {
+      this.markTransactionIncluded(
+        subscription,
+        result.block_num,
+        result.transaction_num
+      );
+    }
+  }
 
-        // New subscription methods
-        case "subscribe_global_properties":
-          this.subscribers.globalProperties.add(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { subscribed: true, type: "global_properties" },
-              type: "response",
-            })
-          );
-          // Send current data immediately
-          if (this.cache.globalProperties) {
-            ws.send(
-              JSON.stringify({
-                type: "subscription_update",
-                subscription: "global_properties",
-                data: this.cache.globalProperties,
-                timestamp: new Date().toISOString(),
-              })
-            );
-          }
-          return;
+  // Called for every streamed head block with the transactions it contains
+  watchTransactions(subscriptions, blockNumber, block) {
+    const transactionIds = block.transaction_ids || [];
+    subscriptions.forEach((subscription) => {
+      const watch = subscription.transaction;
+      if (watch.blockNum !== null) return;
 
-        case "unsubscribe_global_properties":
-          this.subscribers.globalProperties.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "global_properties" },
-              type: "response",
-            })
-          );
-          return;
+      const trxNum = transactionIds.indexOf(watch.txid);
+      if (trxNum !== -1) {
+        this.markTransactionIncluded(subscription, blockNumber, trxNum);
+        return;
+      }
 
-        case "subscribe_blocks":
-          this.subscribers.blocks.add(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { subscribed: true, type: "blocks" },
-              type: "response",
-            })
-          );
-          return;
+      watch.blocksWatched++;
+      if (watch.blocksWatched >= watch.timeoutBlocks) {
+        this.sendSubscriptionUpdate(
+          subscription,
+          {
+            txid: watch.txid,
+            timeout_blocks: watch.timeoutBlocks,
+            last_block: blockNumber,
+          },
+          { event: "expired" }
+        );
+        this.removeSubscription(subscription);
+      }
+    });
+  }
 
-        case "unsubscribe_blocks":
-          this.subscribers.blocks.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "blocks" },
-              type: "response",
-            })
-          );
-          return;
+  markTransactionIncluded(subscription, blockNumber, trxNum) {
+    const watch = subscription.transaction;
+    watch.blockNum = blockNumber;
+    watch.trxNum = trxNum;
+    this.sendSubscriptionUpdate(
+      subscription,
+      { txid: watch.txid, block_num: blockNumber, trx_num: trxNum },
+      { event: "included" }
+    );
 
-        // Block headers subscription
-        case "subscribe_block_headers":
-          this.subscribers.blockHeaders.add(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { subscribed: true, type: "block_headers" },
-              type: "response",
-            })
-          );
-          return;
+    if (
+      this.lastIrreversibleBlock !== null &&
+      blockNumber <= this.lastIrreversibleBlock
+    ) {
+      this.confirmTransaction(subscription);
+    }
+  }
 
-        case "unsubscribe_block_headers":
-          this.subscribers.blockHeaders.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "block_headers" },
-              type: "response",
-            })
-          );
-          return;
+  // Called as the irreversible stream passes each block
+  confirmTransactions(blockNumber) {
+    this.subscribers.transactions.forEach((subscription) => {
+      const { blockNum } = subscription.transaction;
+      if (blockNum !== null && blockNum <= blockNumber) {
+        this.confirmTransaction(subscription);
+      }
+    });
+  }
 
-        // Operations subscription
-        case "subscribe_operations":
-          this.subscribers.operations.add(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { subscribed: true, type: "operations" },
-              type: "response",
-            })
-          );
-          return;
+  confirmTransaction(subscription) {
+    const watch = subscription.transaction;
+    this.sendSubscriptionUpdate(
+      subscription,
+      { txid: watch.txid, block_num: watch.blockNum, trx_num: watch.trxNum },
+      { event: "irreversible" }
+    );
+    this.removeSubscription(subscription);
+  }
 
-        case "unsubscribe_operations":
-          this.subscribers.operations.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "operations" },
-              type: "response",
-            })
-          );
-          return;
+  // Check a from_block against the backfill window; returns the block number
+  async validateFromBlock(fromBlock, irreversible = false) {
+    if (!Number.isInteger(fromBlock) || fromBlock < 1) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        "from_block must be a positive integer"
+      );
+    }
 
-        // Witnesses subscription
-        case "subscribe_witnesses":
-          this.subscribers.witnesses.add(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { subscribed: true, type: "witnesses" },
-              type: "response",
-            })
-          );
-          // Send current data immediately
-          if (this.cache.activeWitnesses) {
-            ws.send(
-              JSON.stringify({
-                type: "subscription_update",
-                subscription: "witnesses",
-                data: this.cache.activeWitnesses,
-                timestamp: new Date().toISOString(),
-              })
-            );
-          }
-          return;
+    // Pin the live stream's starting point if it has not run yet
+    if (irreversible && this.lastIrreversibleBlock === null) {
+      const props = await this.getDynamicGlobalProperties();
+      if (this.lastIrreversibleBlock === null) {
+        this.lastIrreversibleBlock = props.last_irreversible_block_num;
+      }
+    } else if (!irreversible && this.lastProcessedBlock === null) {
+      const props = await this.getDynamicGlobalProperties();
+      if (this.lastProcessedBlock === null) {
+        this.lastProcessedBlock = props.head_block_number;
+      }
+    }
 
-        case "unsubscribe_witnesses":
-          this.subscribers.witnesses.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "witnesses" },
-              type: "response",
-            })
-          );
-          return;
+    const headBlock = irreversible
+      ? this.lastIrreversibleBlock
+      : this.lastProcessedBlock;
+    const earliestBlock = Math.max(1, headBlock - this.maxBackfillBlocks + 1);
+    if (fromBlock < earliestBlock) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        `from_block is outside the ${this.maxBackfillBlocks} block backfill window`,
+        { earliest_block: earliestBlock, head_block: headBlock }
+      );
+    }
+    if (fromBlock > headBlock + 1) {
+      throw new RpcError(
+        RPC_ERRORS.INVALID_PARAMS,
+        irreversible
+          ? "from_block is ahead of the last irreversible block"
+          : "from_block is ahead of the chain head",
+        { head_block: headBlock }
+      );
+    }
+    return fromBlock;
+  }
 
-          return;
+  // Send historical blocks to one subscription from the block cache or
+  // upstream node until it reaches the live stream, then mark it live
+  async replayBlocks(subscription, fromBlock) {
+    const { ws, topic } = subscription;
+    let blockNumber = fromBlock;
 
-        case "subscribe_power_meter":
-          if (!params[0]) {
-            throw new Error("Username required for power meter subscription");
-          }
-          this.subscribers.powerMeter.set(ws, params[0]);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: {
-                subscribed: true,
-                type: "power_meter",
-                user: params[0],
-              },
-              type: "response",
-            })
-          );
-          // Send immediate initial data
-          this.sendPowerMeterUpdate(ws, params[0]);
-          return;
+    try {
+      while (
+        this.isSubscribed(subscription) &&
+        ws.readyState === WebSocket.OPEN &&
+        blockNumber <= this.streamedBlock(subscription)
+      ) {
+        const result =
+          topic === "operations"
+            ? await this.getOpsInBlock(blockNumber, false)
+            : await this.getBlock(blockNumber);
+        if (!result) {
+          throw new Error(`Block ${blockNumber} not available`);
+        }
 
-        case "unsubscribe_power_meter":
-          this.subscribers.powerMeter.delete(ws);
-          ws.send(
-            JSON.stringify({
-              id,
-              result: { unsubscribed: true, type: "power_meter" },
-              type: "response",
-            })
-          );
-          return;
+        // Unsubscribed while the block was being fetched
+        if (!this.isSubscribed(subscription)) return;
 
-        default:
-          throw new Error(`Unsupported method: ${method}`);
+        this.sendSubscriptionUpdate(
+          subscription,
+          topic === "operations"
+            ? {
+                blockNumber,
+                operations: this.filterOperations(subscription, result),
+              }
+            : { blockNumber, block: result },
+          { replay: true }
+        );
+        blockNumber++;
       }
-
-      ws.send(
-        JSON.stringify({
-          id,
-          result,
-          type: "response",
-        })
+    } catch (error) {
+      if (!this.isSubscribed(subscription)) return;
+      this.removeSubscription(subscription);
+      subscription.ws.logger.warn("Replay failed", {
+        subscriptionId: subscription.id,
+        topic,
+        fromBlock,
+        blockNumber,
+        error,
+      });
+      this.sendSubscriptionUpdate(
+        subscription,
+        { next_block: blockNumber, error: error.message },
+        { event: "replay_failed" }
       );
+      return;
+    }
 
-      console.log(`Response sent for ${method}`);
-    } catch (error) {
-      const errorMessage =
-        error?.message || error?.toString() || "Unknown error occurred";
-      const errorId = id || "unknown";
-      const errorMethod = method || "unknown_method";
+    if (!this.isSubscribed(subscription)) return;
+    if (ws.readyState !== WebSocket.OPEN) {
+      this.removeSubscription(subscription);
+      return;
+    }
 
-      console.error(
-        `Error handling ${errorMethod} (ID: ${errorId}):`,
-        errorMessage
-      );
+    // No await since the loop condition: the stream's next block is exactly
+    // blockNumber, so the subscription joins without gaps or duplicates
+    subscription.live = true;
+    this.sendSubscriptionUpdate(
+      subscription,
+      { from_block: fromBlock, to_block: blockNumber - 1 },
+      { event: "replay_complete" }
+    );
+  }
 
-      // Try to switch to backup node if current node fails
-      if (
-        errorMessage.includes("network") ||
-        errorMessage.includes("timeout")
-      ) {
-        await this.switchNode();
+  filterOperations(subscription, operations) {
+    if (!subscription.filter) return operations;
+    return operations.filter((op) =>
+      matchesOperationFilter(op, subscription.filter)
+    );
+  }
+
+  // Deliver every block after lastProcessedBlock up to the head, in order.
+  // A block that cannot be fetched stops the run so the next poll retries it
+  // instead of skipping ahead.
+  async streamNewBlocks(headBlock) {
+    if (this.isStreamingBlocks) return;
+    this.isStreamingBlocks = true;
+
+    try {
+      // Start streaming from the current head on first run
+      if (this.lastProcessedBlock === null) {
+        this.lastProcessedBlock = headBlock - 1;
       }
 
-      ws.send(
-        JSON.stringify({
-          id: errorId,
-          error: errorMessage,
-          type: "error",
-          method: errorMethod,
-        })
+      const behind = headBlock - this.lastProcessedBlock;
+      if (behind > 1) {
+        this.logger.info("Catching up blocks", {
+          blocks: behind,
+          fromBlock: this.lastProcessedBlock + 1,
+          toBlock: headBlock,
+        });
+      }
+
+      const target = Math.min(
+        headBlock,
+        this.lastProcessedBlock + this.maxCatchUpBlocks
       );
+      while (this.lastProcessedBlock < target) {
+        const blockNumber = this.lastProcessedBlock + 1;
+        try {
+          await this.processNewBlockForSubscriptions(blockNumber);
+        } catch (error) {
+          this.logger.warn("Failed to stream block, retrying next poll", {
+            blockNumber,
+            error,
+          });
+          break;
+        }
+      }
+    } finally {
+      this.isStreamingBlocks = false;
     }
   }
 
-  // CRITICAL HIGH-FREQUENCY API with enhanced caching and error handling
-  async getDynamicGlobalProperties() {
-    const now = Date.now();
-
-    // Return cached result if still valid
+  // Process new block data for all subscriptions. Everything a subscriber
+  // needs is fetched before anything is sent, so a failed fetch throws and
+  // the block can be retried without delivering duplicates. Recipients are
+  // picked in the same synchronous step that advances lastProcessedBlock,
+  // which lets replays hand over to the live stream without gaps.
+  async processNewBlockForSubscriptions(blockNumber) {
+    // Every streamed block advances the sequence, even without subscribers.
+    // Nothing is delivered, so there is no history to check for forks.
     if (
-      this.cache.globalProperties &&
-      now - this.cache.lastGlobalUpdate < this.cache.globalTTL
+      !["block_headers", "blocks", "operations", "transaction"].some((topic) =>
+        this.followsStream(topic)
+      ) &&
+      this.listenerCount("block") === 0
     ) {
-      this.errorStats.cacheHits++;
-      return this.cache.globalProperties;
+      this.blockSequence++;
+      this.lastProcessedBlock = blockNumber;
+      this.recentBlockIds.clear();
+      return;
     }
 
-    try {
-      const result = await this.callSteemAPI("getDynamicGlobalProperties", []);
-
-      // Cache the result with timestamp
-      this.cache.globalProperties = result;
-      this.cache.lastGlobalUpdate = now;
-      this.errorStats.cacheMisses++;
+    // Subscriptions may arrive or finish replaying during the fetches, so
+    // what is needed is checked again after each round. The full block is
+    // always fetched: its block_id and previous are needed for fork
+    // detection.
+    let blockHeader = null;
+    let fullBlock = null;
+    let operations = null;
+    for (;;) {
+      const wantsHeader = this.followsStream("block_headers") && !blockHeader;
+      const wantsOperations = this.followsStream("operations") && !operations;
+      if (fullBlock && !wantsHeader && !wantsOperations) break;
+
+      if (!fullBlock || wantsHeader) {
+        [blockHeader, fullBlock] = await Promise.all([
+          wantsHeader ? this.getBlockHeader(blockNumber) : blockHeader,
+          fullBlock || this.getBlock(blockNumber),
+        ]);
+        if ((wantsHeader && !blockHeader) || !fullBlock) {
+          throw new Error(`Block ${blockNumber} not available yet`);
+        }
+      } else {
+        // Lagging nodes answer null for blocks they have not produced yet.
+        // They answer [] for the operations of such blocks, so operations
+        // are only fetched once the block exists.
+        operations = await this.getOpsInBlock(blockNumber, false);
+        if (!operations) {
+          throw new Error(`Block ${blockNumber} not available yet`);
+        }
+      }
 
-      console.log(
-        `Global properties updated - Block: ${result.head_block_number} (${
-          steemNodes[this.currentNodeIndex]
-        })`
-      );
-      return result;
-    } catch (error) {
-      // Return stale cache if available during errors
-      if (this.cache.globalProperties) {
-        console.warn("Using stale global properties cache due to API error");
-        this.errorStats.cacheHits++;
-        return this.cache.globalProperties;
+      // On a fork the stream rewinds to the common ancestor and the caller's
+      // loop re-streams the replacement blocks
+      if (await this.detectFork(blockNumber, fullBlock)) {
+        return;
       }
-      throw error;
     }
-  }
 
-  async getBlockHeader(blockNumber) {
-    try {
-      // Check cache first
-      const cacheKey = `header_${blockNumber}`;
-      const cached = this.getCacheItem(
-        this.cache.blockHeaders,
-        cacheKey,
-        this.cache.blockTTL
-      );
-      if (cached) return cached;
+    const sequence = ++this.blockSequence;
+    this.lastProcessedBlock = blockNumber;
+    this.recentBlockIds.set(blockNumber, fullBlock.block_id);
+    this.recentBlockIds.delete(blockNumber - this.maxForkDepth);
 
-      const result = await this.callSteemAPI("getBlockHeader", [blockNumber]);
+    this.emit("block", { blockNumber, block: fullBlock, sequence });
 
-      // Cache the result
-      this.setCacheItem(this.cache.blockHeaders, cacheKey, result);
+    this.broadcastToSubscribers(
+      this.liveSubscriptions("block_headers"),
+      { blockNumber, header: blockHeader },
+      { sequence }
+    );
+    this.broadcastToSubscribers(
+      this.liveSubscriptions("blocks"),
+      { blockNumber, block: fullBlock },
+      { sequence }
+    );
+    this.broadcastOperations(
+      this.liveSubscriptions("operations"),
+      blockNumber,
+      operations,
+      sequence
+    );
+    this.watchTransactions(
+      this.liveSubscriptions("transaction"),
+      blockNumber,
+      fullBlock
+    );
+  }
 
-      console.log(
-        `Block header retrieved: ${blockNumber} (${
-          steemNodes[this.currentNodeIndex]
-        })`
-      );
-      return result;
-    } catch (error) {
-      console.error(
-        `Failed to get block header ${blockNumber}:`,
-        error.message
-      );
-      throw error;
+  // Compare a block's previous id with the block delivered at the height
+  // below it. On a mismatch, walk back through the new chain (re-fetching
+  // each block past the cache) until it meets the delivered chain, tell
+  // subscribers which blocks were orphaned and rewind lastProcessedBlock to
+  // the common ancestor. Returns true when a fork was handled.
+  async detectFork(blockNumber, block) {
+    const deliveredId = this.recentBlockIds.get(blockNumber - 1);
+    if (!deliveredId || block.previous === deliveredId) {
+      return false;
     }
-  }
 
-  async getBlock(blockNumber) {
-    try {
-      // Check cache first
-      const cacheKey = `block_${blockNumber}`;
-      const cached = this.getCacheItem(
-        this.cache.blocks,
-        cacheKey,
-        this.cache.blockTTL
-      );
-      if (cached) return cached;
+    let height = blockNumber - 1;
+    let chainId = block.previous;
+    while (
+      this.recentBlockIds.has(height) &&
+      this.recentBlockIds.get(height) !== chainId
+    ) {
+      this.invalidateBlockCache(height);
+      const replacement = await this.getBlock(height);
+      if (!replacement) {
+        throw new Error(`Block ${height} not available while resolving fork`);
+      }
+      chainId = replacement.previous;
+      height--;
+    }
+
+    const orphanedBlocks = [];
+    for (let orphan = height + 1; orphan < blockNumber; orphan++) {
+      orphanedBlocks.push(orphan);
+      this.recentBlockIds.delete(orphan);
+    }
+    if (!this.recentBlockIds.has(height)) {
+      this.logger.warn("Fork deeper than the tracked blocks", {
+        blockNumber,
+        maxForkDepth: this.maxForkDepth,
+      });
+    }
 
-      const result = await this.callSteemAPI("getBlock", [blockNumber]);
+    this.forksDetected++;
+    this.metric.forks.inc();
+    this.lastProcessedBlock = height;
+    this.logger.warn("Fork detected", {
+      blockNumber,
+      orphanedBlocks,
+      resumeBlock: height + 1,
+    });
 
-      // Cache the result
-      this.setCacheItem(this.cache.blocks, cacheKey, result);
+    this.notifyFork(orphanedBlocks, height);
+    return true;
+  }
 
-      console.log(
-        `Block retrieved: ${blockNumber} with ${
-          result.transactions?.length || 0
-        } transactions (${steemNodes[this.currentNodeIndex]})`
-      );
-      return result;
-    } catch (error) {
-      console.error(`Failed to get block ${blockNumber}:`, error.message);
-      throw error;
-    }
+  // Drop cached data for a block number so the next fetch goes upstream
+  invalidateBlockCache(blockNumber) {
+    [
+      ["condenser_api.get_block_header", [blockNumber]],
+      ["condenser_api.get_block", [blockNumber]],
+      ["condenser_api.get_ops_in_block", [blockNumber, false]],
+      ["condenser_api.get_ops_in_block", [blockNumber, true]],
+    ].forEach(([name, params]) => {
+      const entry = this.methodRegistry.resolve(name);
+      if (entry && entry.cache) {
+        this.cache[entry.cache.namespace].delete(
+          this.methodRegistry.cacheKey(entry, params)
+        );
+        this.inFlight.delete(this.inFlightKey(entry, params));
+      }
+    });
   }
 
-  async getOpsInBlock(blockNumber, onlyVirtual = false) {
-    try {
-      // Check cache first
-      const cacheKey = `ops_${blockNumber}_${onlyVirtual}`;
-      const cached = this.getCacheItem(
-        this.cache.operations,
-        cacheKey,
-        this.cache.blockTTL
+  // Send a fork event to head-stream block, header and operation
+  // subscriptions. Transactions included in an orphaned block go back to
+  // waiting for inclusion.
+  notifyFork(orphanedBlocks, commonAncestor) {
+    const data = {
+      orphaned_blocks: orphanedBlocks,
+      common_ancestor: commonAncestor,
+      resume_block: commonAncestor + 1,
+    };
+    this.emit("fork", data);
+    const headStream = (topic) =>
+      Array.from(this.subscribers[SUBSCRIPTION_TOPICS[topic]].values()).filter(
+        (subscription) => !subscription.irreversible
       );
-      if (cached) return cached;
 
-      const result = await this.callSteemAPI("getOpsInBlock", [
-        blockNumber,
-        onlyVirtual,
-      ]);
+    ["blocks", "block_headers", "operations"].forEach((topic) =>
+      this.broadcastToSubscribers(headStream(topic), data, { event: "fork" })
+    );
 
-      // Cache the result
-      this.setCacheItem(this.cache.operations, cacheKey, result);
+    const orphanedTransactions = headStream("transaction").filter(
+      (subscription) =>
+        orphanedBlocks.includes(subscription.transaction.blockNum)
+    );
+    orphanedTransactions.forEach((subscription) => {
+      subscription.transaction.blockNum = null;
+      subscription.transaction.trxNum = null;
+    });
+    this.broadcastToSubscribers(orphanedTransactions, data, { event: "fork" });
+  }
+
+  broadcastOperations(subscriptions, blockNumber, operations, sequence) {
+    this.broadcastToSubscribers(
+      subscriptions.filter((subscription) => !subscription.filter),
+      { blockNumber, operations },
+      { sequence }
+    );
 
-      console.log(
-        `Operations retrieved for block ${blockNumber}: ${
-          result.length
-        } ops (virtual: ${onlyVirtual}) (${steemNodes[this.currentNodeIndex]})`
+    // Filtered subscriptions get an update every block (possibly with no
+    // operations) so the sequence still reveals gaps
+    subscriptions
+      .filter((subscription) => subscription.filter)
+      .forEach((subscription) =>
+        this.sendSubscriptionUpdate(
+          subscription,
+          {
+            blockNumber,
+            operations: this.filterOperations(subscription, operations),
+          },
+          { sequence }
+        )
       );
-      return result;
-    } catch (error) {
-      console.error(
-        `Failed to get ops in block ${blockNumber}:`,
-        error.message
+  }
+
+  // Deliver every block after lastIrreversibleBlock up to the LIB, in order,
+  // to irreversible_blocks and irreversible operation subscriptions. Blocks
+  // are fetched past the cache, which may still hold a block a fork
+  // orphaned (e.g. one a client fetched before the fork).
+  async streamIrreversibleBlocks(libBlock) {
+    if (this.isStreamingIrreversible) return;
+    this.isStreamingIrreversible = true;
+
+    try {
+      if (this.lastIrreversibleBlock === null) {
+        this.lastIrreversibleBlock = libBlock - 1;
+      }
+
+      const target = Math.min(
+        libBlock,
+        this.lastIrreversibleBlock + this.maxCatchUpBlocks
       );
-      throw error;
+      while (this.lastIrreversibleBlock < target) {
+        const blockNumber = this.lastIrreversibleBlock + 1;
+        try {
+          await this.processIrreversibleBlock(blockNumber);
+          this.confirmTransactions(blockNumber);
+        } catch (error) {
+          this.logger.warn(
+            "Failed to stream irreversible block, retrying next poll",
+            { blockNumber, error }
+          );
+          break;
+        }
+      }
+    } finally {
+      this.isStreamingIrreversible = false;
     }
   }
 
-  async getActiveWitnesses() {
-    const now = Date.now();
-
-    // Return cached result if still valid
+  // Same fetch-then-send contract as processNewBlockForSubscriptions
+  async processIrreversibleBlock(blockNumber) {
     if (
-      this.cache.activeWitnesses &&
-      now - this.cache.lastWitnessUpdate < this.cache.witnessTTL
+      this.followsStream("irreversible_blocks", true) ||
+      this.followsStream("operations", true)
     ) {
-      this.errorStats.cacheHits++;
-      return this.cache.activeWitnesses;
+      this.invalidateBlockCache(blockNumber);
     }
 
-    try {
-      const result = await this.callSteemAPI("getActiveWitnesses", []);
+    let fullBlock = null;
+    let operations = null;
+    for (;;) {
+      const wantsBlock =
+        this.followsStream("irreversible_blocks", true) && !fullBlock;
+      const wantsOperations =
+        this.followsStream("operations", true) && !operations;
+      if (!wantsBlock && !wantsOperations) break;
+
+      [fullBlock, operations] = await Promise.all([
+        wantsBlock ? this.getBlock(blockNumber) : fullBlock,
+        wantsOperations ? this.getOpsInBlock(blockNumber, false) : operations,
+      ]);
+      if ((wantsBlock && !fullBlock) || (wantsOperations && !operations)) {
+        throw new Error(`Block ${blockNumber} not available`);
+      }
+    }
 
-      // Cache the result
-      const previousWitnesses = this.cache.activeWitnesses;
-      this.cache.activeWitnesses = result;
-      this.cache.lastWitnessUpdate = now;
-      this.errorStats.cacheMisses++;
+    const sequence = ++this.irreversibleSequence;
+    this.lastIrreversibleBlock = blockNumber;
 
-      // Broadcast to witness subscribers if data changed
-      if (
-        this.subscribers.witnesses.size > 0 &&
-        JSON.stringify(previousWitnesses) !== JSON.stringify(result)
-      ) {
-        const witnessMessage = JSON.stringify({
-          type: "subscription_update",
-          subscription: "witnesses",
-          data: result,
-          timestamp: new Date().toISOString(),
-        });
-        this.broadcastToSubscribers(
-          this.subscribers.witnesses,
-          witnessMessage,
-          "witnesses"
-        );
-      }
+    this.broadcastToSubscribers(
+      this.liveSubscriptions("irreversible_blocks", true),
+      { blockNumber, block: fullBlock },
+      { sequence }
+    );
+    this.broadcastOperations(
+      this.liveSubscriptions("operations", true),
+      blockNumber,
+      operations,
+      sequence
+    );
+  }
 
-      console.log(
-        `Active witnesses retrieved: ${result.length} witnesses (${
-          steemNodes[this.currentNodeIndex]
-        })`
-      );
-      return result;
-    } catch (error) {
-      // Return stale cache if available during errors
-      if (this.cache.activeWitnesses) {
-        console.warn("Using stale witnesses cache due to API error");
-        this.errorStats.cacheHits++;
-        return this.cache.activeWitnesses;
+  // Helper method to broadcast to subscribers with cleanup. The data is
+  // serialized once and spliced into each subscription's envelope.
+  broadcastToSubscribers(subscriptions, data, extra = {}) {
+    if (subscriptions.length === 0) return;
+
+    const dataJson = JSON.stringify(data);
+    let successCount = 0;
+    subscriptions.forEach((subscription) => {
+      if (this.deliverSubscriptionUpdate(subscription, dataJson, extra)) {
+        successCount++;
       }
-      throw error;
-    }
-  }
+    });
 
-  async getTransaction(transactionId) {
-    try {
-      const result = await this.callSteemAPI("getTransaction", [transactionId]);
-      console.log(
-        `Transaction retrieved: ${transactionId} (${
-          steemNodes[this.currentNodeIndex]
-        })`
-      );
-      return result;
-    } catch (error) {
-      console.error(
-        `Failed to get transaction ${transactionId}:`,
-        error.message
-      );
-      throw error;
+    this.metric.broadcastFanout.observe(
+      { topic: subscriptions[0].topic },
+      successCount
+    );
+    if (successCount > 0) {
+      this.logger.info("Broadcast sent", {
+        event: "broadcast",
+        topic: subscriptions[0].topic,
+        recipients: successCount,
+      });
     }
   }
 
-  async getTicker(params) {
-    const cacheKey = `ticker_${JSON.stringify(params)}`;
-    const cached = this.getCacheItem(
-      this.cache.market,
-      cacheKey,
-      this.cache.marketTTL
+  sendSubscriptionUpdate(subscription, data, extra = {}) {
+    return this.deliverSubscriptionUpdate(
+      subscription,
+      JSON.stringify(data),
+      extra
     );
-    if (cached) return cached;
+  }
 
-    try {
-      const result = await this.callSteemAPI("getTicker", params);
-      this.setCacheItem(this.cache.market, cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error("Failed to get ticker:", error.message);
-      throw error;
+  // Send one subscription_update; dead connections are unsubscribed
+  deliverSubscriptionUpdate(subscription, dataJson, extra) {
+    const { ws } = subscription;
+    if (ws.readyState !== WebSocket.OPEN) {
+      this.removeSubscription(subscription);
+      return false;
     }
-  }
 
-  async getOrderBook(params) {
-    const cacheKey = `orderbook_${JSON.stringify(params)}`;
-    const cached = this.getCacheItem(
-      this.cache.market,
-      cacheKey,
-      this.cache.marketTTL
-    );
-    if (cached) return cached;
+    const envelope = JSON.stringify({
+      type: "subscription_update",
+      subscription: subscription.topic,
+      subscription_id: subscription.id,
+      ...(subscription.irreversible && { irreversible: true }),
+      ...extra,
+      timestamp: new Date().toISOString(),
+    });
 
     try {
-      const result = await this.callSteemAPI("getOrderBook", params);
-      this.setCacheItem(this.cache.market, cacheKey, result);
-      return result;
+      ws.send(`${envelope.slice(0, -1)},"data":${dataJson}}`);
+      this.metric.subscriptionMessages.inc({ topic: subscription.topic });
+      return true;
     } catch (error) {
-      console.error("Failed to get order book:", error.message);
-      throw error;
+      ws.logger.warn("Failed to send subscription update", {
+        subscriptionId: subscription.id,
+        error,
+      });
+      this.removeSubscription(subscription);
+      return false;
     }
   }
 
-  async getRecentTrades(params) {
-    const cacheKey = `trades_${JSON.stringify(params)}`;
-    const cached = this.getCacheItem(
-      this.cache.market,
-      cacheKey,
-      this.cache.marketTTL
-    );
-    if (cached) return cached;
+  // Runtime operations, used by the admin API. Changes that would leave no
+  // usable node throw.
 
-    try {
-      const result = await this.callSteemAPI("getRecentTrades", params);
-      this.setCacheItem(this.cache.market, cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error("Failed to get recent trades:", error.message);
-      throw error;
-    }
+  // API key from the X-API-Key header or the api_key query parameter, or
+  // null when the client sent none
+  requestApiKey(req) {
+    if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+    return new URL(req.url, "http://localhost").searchParams.get("api_key");
   }
 
-  async getAccounts(params) {
-    const cacheKey = `accounts_${JSON.stringify(params)}`;
-    // Use accountTTL for account data
-    const cached = this.getCacheItem(
-      this.cache.account,
-      cacheKey,
-      this.cache.accountTTL
-    );
-    if (cached) return cached;
-
-    try {
-      const result = await this.callSteemAPI("getAccounts", params);
-      this.setCacheItem(this.cache.account, cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`Failed to get accounts:`, error.message);
-      throw error;
-    }
+  // Who a request counts against for rate limits, and over HTTP for queue
+  // fairness: its API key's name, or its address when it sent no key
+  clientKey(identity, apiKey, address) {
+    return apiKey && identity ? `key:${identity.name}` : `ip:${address}`;
   }
 
-  async getMarketHistory(params) {
-    return this.callSteemAPI("getMarketHistory", params);
+  requestsPerMinute(identity) {
+    return (
+      (identity && this.config.tiers[identity.tier].requestsPerMinute) ||
+      this.config.rateLimitPerMinute
+    );
   }
 
-  async getAccountHistory(params) {
-    return this.callSteemAPI("getAccountHistory", params);
+  // Identity of clients without a key; null when every client needs one
+  anonymousIdentity() {
+    const tier = this.config.anonymousTier;
+    return tier ? { name: tier, tier } : null;
   }
 
-  async getWitnessesByVote(params) {
-    return this.callSteemAPI("getWitnessesByVote", params);
+  hasConnectionCapacity(identity) {
+    const { maxConnections } = this.config.tiers[identity.tier];
+    return (
+      maxConnections === undefined ||
+      this.apiKeys.connections(identity) < maxConnections
+    );
   }
 
-  async getVestingDelegations(params) {
-    return this.callSteemAPI("getVestingDelegations", params);
+  // Attach an identity (or null) to a connection, moving its usage count and
+  // applying its tier's rate limit
+  applyIdentity(ws, identity) {
+    if (ws.identity) this.apiKeys.recordDisconnect(ws.identity);
+    ws.identity = identity;
+    ws.maxMessagesPerMinute = this.requestsPerMinute(identity);
+    ws.logger = this.logger.child({
+      connectionId: ws.connectionId,
+      ...(identity && { client: identity.name }),
+    });
+    if (identity) this.apiKeys.recordConnect(identity);
   }
 
-  async findAccounts(params) {
-    return this.callSteemAPI("findAccounts", params);
+  // Limits that apply to a connection; null means unlimited
+  tierLimits(ws) {
+    const tier = ws.identity ? this.config.tiers[ws.identity.tier] : {};
+    return {
+      requestsPerMinute: ws.maxMessagesPerMinute,
+      maxSubscriptions: tier.maxSubscriptions ?? null,
+      maxConnections: tier.maxConnections ?? null,
+      methods: tier.methods ?? null,
+    };
   }
 
-  async getRewardFund(params) {
-    // Cache reward fund as it changes rarely
-    const cacheKey = `reward_fund_${params[0]}`;
-    const cached = this.getCacheItem(
-      this.cache.other,
-      cacheKey,
-      this.cache.otherTTL
-    );
-    if (cached) return cached;
+  // The authenticate method: switch a connection to an API key's tier
+  authenticate(ws, apiKey) {
+    const identity =
+      typeof apiKey === "string" ? this.apiKeys.lookup(apiKey) : null;
+    if (!identity) {
+      throw new RpcError(RPC_ERRORS.UNAUTHORIZED, "Invalid API key");
+    }
+    if (
+      ws.identity?.name !== identity.name &&
+      !this.hasConnectionCapacity(identity)
+    ) {
+      throw new RpcError(
+        RPC_ERRORS.FORBIDDEN,
+        "Connection limit reached for this API key"
+      );
+    }
 
-    const result = await this.callSteemAPI("getRewardFund", params);
-    this.setCacheItem(this.cache.other, cacheKey, result);
-    return result;
+    ws.apiKey = apiKey;
+    this.applyIdentity(ws, identity);
+    ws.logger.info("Client authenticated", { tier: identity.tier });
+    return {
+      authenticated: true,
+      name: identity.name,
+      tier: identity.tier,
+      limits: this.tierLimits(ws),
+    };
   }
 
-  async findRCAccounts(params) {
-    // Caching for RC accounts (short TTL as RC changes frequently)
-    const cacheKey = `rc_${JSON.stringify(params)}`;
-    const cached = this.getCacheItem(this.cache.account, cacheKey, 3000); // 3s fast cache
-    if (cached) return cached;
-
-    const result = await this.callSteemAPI("findRCAccounts", params);
-    this.setCacheItem(this.cache.account, cacheKey, result);
-    return result;
+  // Re-read the API keys file. Connections whose key is gone are closed; the
+  // others move to their key's current tier.
+  reloadApiKeys() {
+    this.apiKeys.load();
+    let revoked = 0;
+    if (this.wss) {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.apiKey) return;
+        const identity = this.apiKeys.lookup(ws.apiKey);
+        if (!identity) {
+          revoked++;
+          ws.close(4001, "API key revoked");
+        } else if (
+          identity.name !== ws.identity.name ||
+          identity.tier !== ws.identity.tier
+        ) {
+          this.applyIdentity(ws, identity);
+        }
+      });
+    }
+    this.logger.info("API keys reloaded", {
+      keys: this.apiKeys.keys.size,
+      revokedConnections: revoked,
+    });
+    return this.apiKeys.getStats();
   }
 
-  async getCurrentMedianHistoryPrice(params) {
-    const cacheKey = "median_history_price";
-    const cached = this.getCacheItem(
-      this.cache.other,
-      cacheKey,
-      this.cache.otherTTL
-    );
-    if (cached) return cached;
+  listClients() {
+    if (!this.wss) return [];
+    return Array.from(this.wss.clients, (ws) => ({
+      id: ws.connectionId,
+      ip: ws.clientIP,
+      client: ws.identity ? ws.identity.name : null,
+      tier: ws.identity ? ws.identity.tier : null,
+      connectedAt: new Date(ws.connectedAt).toISOString(),
+      subscriptions: Array.from(ws.subscriptions.values(), (subscription) => ({
+        id: subscription.id,
+        topic: subscription.topic,
+        ...(subscription.irreversible && { irreversible: true }),
+        ...(subscription.filter && {
+          filter: describeOperationFilter(subscription.filter),
+        }),
+        ...(subscription.username && { username: subscription.username }),
+        ...(subscription.transaction && {
+          txid: subscription.transaction.txid,
+        }),
+      })),
+      rateLimit: this.describeRateLimit(ws),
+    }));
+  }
 
-    const result = await this.callSteemAPI(
-      "getCurrentMedianHistoryPrice",
-      params
+  // A connection's rate-limit window, shared with its key's other clients
+  describeRateLimit(ws) {
+    const { count, resetAt } = this.rateLimiter.usage(
+      this.clientKey(ws.identity, ws.apiKey, ws.clientIP)
     );
-    this.setCacheItem(this.cache.other, cacheKey, result);
-    return result;
+    return {
+      messages: count,
+      limit: ws.maxMessagesPerMinute,
+      resetAt: new Date(resetAt).toISOString(),
+    };
   }
 
-  // Power Meter Aggregator
-  async getPowerMeterData(username) {
-    try {
-      const [accounts, rewardFund, rcAccounts, medianPrice] = await Promise.all(
-        [
-          this.findAccounts({ accounts: [username] }),
-          this.getRewardFund(["post"]),
-          this.findRCAccounts({ accounts: [username] }),
-          this.getCurrentMedianHistoryPrice([]),
-        ]
+  // Returns false when no client has the id
+  disconnectClient(connectionId) {
+    const ws =
+      this.wss &&
+      Array.from(this.wss.clients).find(
+        (client) => client.connectionId === connectionId
       );
+    if (!ws) return false;
+    ws.close(4000, "Disconnected by operator");
+    return true;
+  }
 
+  listNodes() {
+    return this.nodes.map((url, index) => {
       return {
-        username,
-        account: accounts.accounts[0],
-        rc_account: rcAccounts.rc_accounts[0],
-        reward_fund: rewardFund,
-        median_history_price: medianPrice,
+        url,
+        current: index === this.currentNodeIndex,
+        pinned: url === this.pinnedNode,
+        ...this.nodeHealth[index].describe(),
       };
-    } catch (error) {
-      console.error(
-        `Error aggregating power meter data for ${username}:`,
-        error.message
-      );
-      return null;
-    }
+    });
   }
 
-  async sendPowerMeterUpdate(ws, username) {
-    const data = await this.getPowerMeterData(username);
-    if (data && ws.readyState === WebSocket.OPEN) {
-      ws.send(
-        JSON.stringify({
-          type: "subscription_update",
-          subscription: "power_meter",
-          data: data,
-          timestamp: new Date().toISOString(),
-        })
-      );
+  addNode(url) {
+    if (!isHttpUrl(url)) {
+      throw new Error(`Not an http(s) URL: ${url}`);
+    }
+    if (this.nodes.includes(url)) {
+      throw new Error(`Node ${url} is already configured`);
     }
+    this.nodes.push(url);
+    this.nodeHealth.push(this.createNodeHealth(url));
   }
 
-  // Setup periodic updates for critical data
-  setupPeriodicUpdates() {
-    // Update global properties every 3 seconds (matches client requirements)
-    setInterval(async () => {
-      try {
-        const previousBlock = this.cache.globalProperties?.head_block_number;
-        await this.getDynamicGlobalProperties();
-
-        // Only broadcast if data actually changed
-        const currentBlock = this.cache.globalProperties?.head_block_number;
-        if (
-          this.wss &&
-          this.cache.globalProperties &&
-          currentBlock !== previousBlock
-        ) {
-          // Broadcast to subscribers only (more efficient)
-          if (this.subscribers.globalProperties.size > 0) {
-            const subscriptionMessage = JSON.stringify({
-              type: "subscription_update",
-              subscription: "global_properties",
-              data: this.cache.globalProperties,
-              timestamp: new Date().toISOString(),
-            });
-
-            this.broadcastToSubscribers(
-              this.subscribers.globalProperties,
-              subscriptionMessage,
-              "global_properties"
-            );
-          }
-
-          // Process new block data for other subscriptions
-          await this.processNewBlockForSubscriptions(currentBlock);
-
-          // Legacy broadcast for backward compatibility
-          const legacyMessage = JSON.stringify({
-            type: "broadcast",
-            method: "dynamic_global_properties_update",
-            data: this.cache.globalProperties,
-            timestamp: new Date().toISOString(),
-          });
-
-          let broadcastCount = 0;
-          this.wss.clients.forEach((client) => {
-            if (
-              client.readyState === WebSocket.OPEN &&
-              !this.subscribers.globalProperties.has(client)
-            ) {
-              client.send(legacyMessage);
-              broadcastCount++;
-            }
-          });
-
-          if (broadcastCount > 0) {
-            console.log(
-              `Legacy broadcasted block ${currentBlock} to ${broadcastCount} clients`
-            );
-          }
-        }
-
-        // Process Power Meter Subscriptions periodically
-        // We do this every 5 seconds to match user requirements
-        if (
-          Date.now() - (this.lastPowerMeterUpdate || 0) >= 5000 &&
-          this.subscribers.powerMeter.size > 0
-        ) {
-          this.lastPowerMeterUpdate = Date.now();
-          this.processPowerMeterSubscriptions();
-        }
-      } catch (error) {
-        console.error("Periodic update failed:", error.message);
-        // Try switching nodes if we get repeated failures
-        await this.switchNode();
+  removeNode(url) {
+    const index = this.requireNodeIndex(url);
+    if (url === this.pinnedNode) {
+      throw new Error(`Node ${url} is pinned; unpin it first`);
+    }
+    this.requireForVerification(index);
+    if (index === this.currentNodeIndex) {
+      const next = this.nextEnabledNodeIndex();
+      if (next === -1) {
+        throw new Error(`Node ${url} is the only enabled node`);
       }
-    }, 3000);
-
-    console.log("Smart periodic updates initialized (3s intervals)");
-  }
-
-  async processPowerMeterSubscriptions() {
-    // De-duplicate users to batch requests effectively (not implemented fully here but prepared)
-    const activeSubs = Array.from(this.subscribers.powerMeter.entries());
+      this.useNode(next, "admin");
+    }
 
-    // We process sequentially or in small batches to avoid hitting rate limits
-    // Since we cached individual API calls, subsequent requests for same user will hit cache
-    for (const [ws, username] of activeSubs) {
-      if (ws.readyState === WebSocket.OPEN) {
-        // We intentionally don't await this to preventing blocking the main loop
-        // but we should be careful about congestion.
-        this.sendPowerMeterUpdate(ws, username).catch((err) =>
-          console.error(
-            `Failed to push power meter to ${username}:`,
-            err.message
-          )
-        );
-      } else {
-        this.subscribers.powerMeter.delete(ws);
-      }
+    this.nodes.splice(index, 1);
+    this.nodeHealth.splice(index, 1);
+    if (index < this.currentNodeIndex) {
+      this.currentNodeIndex--;
     }
   }
 
-  // Process new block data for all subscriptions
-  async processNewBlockForSubscriptions(blockNumber) {
-    try {
-      // Process block data for subscribers
-      if (
-        this.subscribers.blocks.size > 0 ||
-        this.subscribers.blockHeaders.size > 0 ||
-        this.subscribers.operations.size > 0
-      ) {
-        // Fetch block header for header subscribers
-        if (this.subscribers.blockHeaders.size > 0) {
-          try {
-            const blockHeader = await this.getBlockHeader(blockNumber);
-            const headerMessage = JSON.stringify({
-              type: "subscription_update",
-              subscription: "block_headers",
-              data: { blockNumber, header: blockHeader },
-              timestamp: new Date().toISOString(),
-            });
-            this.broadcastToSubscribers(
-              this.subscribers.blockHeaders,
-              headerMessage,
-              "block_headers"
-            );
-          } catch (error) {
-            console.warn(
-              `Failed to fetch block header ${blockNumber}:`,
-              error.message
-            );
-          }
-        }
-
-        // Fetch full block for block subscribers
-        if (
-          this.subscribers.blocks.size > 0 ||
-          this.subscribers.operations.size > 0
-        ) {
-          try {
-            const fullBlock = await this.getBlock(blockNumber);
-
-            // Broadcast to block subscribers
-            if (this.subscribers.blocks.size > 0) {
-              const blockMessage = JSON.stringify({
-                type: "subscription_update",
-                subscription: "blocks",
-                data: { blockNumber, block: fullBlock },
-                timestamp: new Date().toISOString(),
-              });
-              this.broadcastToSubscribers(
-                this.subscribers.blocks,
-                blockMessage,
-                "blocks"
-              );
-            }
-
-            // Fetch and broadcast operations if there are operation subscribers
-            if (this.subscribers.operations.size > 0) {
-              try {
-                const operations = await this.getOpsInBlock(blockNumber, false);
-                const opsMessage = JSON.stringify({
-                  type: "subscription_update",
-                  subscription: "operations",
-                  data: { blockNumber, operations },
-                  timestamp: new Date().toISOString(),
-                });
-                this.broadcastToSubscribers(
-                  this.subscribers.operations,
-                  opsMessage,
-                  "operations"
-                );
-              } catch (error) {
-                console.warn(
-                  `Failed to fetch operations for block ${blockNumber}:`,
-                  error.message
-                );
-              }
-            }
-          } catch (error) {
-            console.warn(
-              `Failed to fetch block ${blockNumber}:`,
-              error.message
-            );
-          }
+  setNodeEnabled(url, enabled) {
+    const index = this.requireNodeIndex(url);
+    if (!enabled) {
+      if (url === this.pinnedNode) {
+        throw new Error(`Node ${url} is pinned; unpin it first`);
+      }
+      this.requireForVerification(index);
+      if (index === this.currentNodeIndex) {
+        const next = this.nextEnabledNodeIndex();
+        if (next === -1) {
+          throw new Error(`Node ${url} is the only enabled node`);
         }
+        this.useNode(next, "admin");
       }
-
-      this.lastProcessedBlock = blockNumber;
-    } catch (error) {
-      console.error("Error processing block subscriptions:", error.message);
     }
+    this.nodeHealth[index].enabled = enabled;
   }
 
-  // Helper method to broadcast to subscribers with cleanup
-  broadcastToSubscribers(subscriberSet, message, subscriptionType) {
-    let successCount = 0;
-    const deadConnections = [];
+  // Switch to url, or to the next enabled node
+  forceNodeSwitch(url) {
+    if (this.pinnedNode) {
+      throw new Error(`Node ${this.pinnedNode} is pinned; unpin it first`);
+    }
+    const index =
+      url === undefined
+        ? this.nextEnabledNodeIndex()
+        : this.requireNodeIndex(url);
+    if (index === -1) {
+      throw new Error("No other enabled node to switch to");
+    }
+    if (!this.nodeHealth[index].enabled) {
+      throw new Error(`Node ${url} is disabled`);
+    }
+    this.useNode(index, "admin");
+  }
 
-    subscriberSet.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        try {
-          client.send(message);
-          successCount++;
-        } catch (error) {
-          console.warn(`Failed to send to subscriber:`, error.message);
-          deadConnections.push(client);
-        }
-      } else {
-        deadConnections.push(client);
-      }
-    });
+  // Use url until unpinned, whatever its health
+  pinNode(url) {
+    const index = this.requireNodeIndex(url);
+    if (!this.nodeHealth[index].enabled) {
+      throw new Error(`Node ${url} is disabled`);
+    }
+    this.pinnedNode = url;
+    if (index !== this.currentNodeIndex) {
+      this.useNode(index, "admin");
+    }
+  }
 
-    // Clean up dead connections
-    deadConnections.forEach((client) => subscriberSet.delete(client));
+  unpinNode() {
+    this.pinnedNode = null;
+  }
 
-    if (successCount > 0) {
-      console.log(
-        `Broadcasted ${subscriptionType} to ${successCount} subscribers`
+  // Throw if taking an enabled node out of service would leave too few
+  // enabled nodes for verified calls
+  requireForVerification(index) {
+    if (!this.nodeHealth[index].enabled) return;
+    const remaining = this.nodeHealth.filter(
+      (health, other) => health.enabled && other !== index
+    ).length;
+    const problem = checkVerificationNodes(this.config.verification, remaining);
+    if (problem) {
+      throw new Error(
+        `Node ${this.nodes[index]} is needed for verified calls: ${problem}`
       );
     }
   }
 
-  // Node failover functionality
-  async switchNode() {
-    this.currentNodeIndex = (this.currentNodeIndex + 1) % steemNodes.length;
-    const newNode = steemNodes[this.currentNodeIndex];
+  requireNodeIndex(url) {
+    const index = this.nodes.indexOf(url);
+    if (index === -1) {
+      throw new Error(`Unknown node ${url}`);
+    }
+    return index;
+  }
 
-    console.log(`Switching to backup node: ${newNode}`);
+  cacheNamespaces() {
+    return [
+      "globalProperties",
+      "activeWitnesses",
+      ...Object.keys(CACHE_NAMESPACE_TTLS),
+    ];
+  }
 
-    this.steemClient = new Client(newNode, { failoverThreshold: 0 });
+  // Flush one cache namespace, or every cache
+  flushCache(namespace) {
+    if (namespace === undefined) {
+      this.clearCache();
+    } else if (namespace === "globalProperties") {
+      this.cache.globalProperties = null;
+      this.cache.lastGlobalUpdate = 0;
+    } else if (namespace === "activeWitnesses") {
+      this.cache.activeWitnesses = null;
+      this.cache.lastWitnessUpdate = 0;
+    } else if (CACHE_NAMESPACE_TTLS[namespace]) {
+      this.cache[namespace].clear();
+    } else {
+      throw new Error(`Unknown cache namespace ${namespace}`);
+    }
+  }
 
-    // Clear all caches to force fresh data from new node
-    this.clearCache();
+  // While draining, existing clients are served but new connections are
+  // refused, so the bridge can be stopped once they have moved elsewhere
+  setDraining(draining) {
+    this.draining = draining;
+    this.logger.warn(draining ? "Drain mode on" : "Drain mode off", {
+      clients: this.wss ? this.wss.clients.size : 0,
+    });
   }
 
   // Broadcast message to all connected clients
@@ -1639,14 +3515,182 @@ class SteemWebSocketServer {
     });
   }
 
+  // Counters and histograms are updated where the events happen; gauges for
+  // state the bridge already tracks are collected at scrape time
+  setupMetrics() {
+    const metrics = this.metrics;
+    this.metric = {
+      requests: metrics.counter({
+        name: "steem_bridge_requests_total",
+        help: "Client requests by method and outcome",
+        labelNames: ["method", "outcome"],
+      }),
+      requestDuration: metrics.histogram({
+        name: "steem_bridge_request_duration_seconds",
+        help: "Time to answer a client request",
+        labelNames: ["method"],
+      }),
+      upstreamDuration: metrics.histogram({
+        name: "steem_bridge_upstream_request_duration_seconds",
+        help: "Upstream call latency by node and outcome",
+        labelNames: ["node", "outcome"],
+      }),
+      cacheRequests: metrics.counter({
+        name: "steem_bridge_cache_requests_total",
+        help: "Cache lookups by namespace and result",
+        labelNames: ["namespace", "result"],
+      }),
+      coalesced: metrics.counter({
+        name: "steem_bridge_coalesced_requests_total",
+        help: "Requests that shared an identical upstream call in flight",
+      }),
+      broadcastFanout: metrics.histogram({
+        name: "steem_bridge_broadcast_recipients",
+        help: "Subscribers reached by each broadcast",
+        labelNames: ["topic"],
+        buckets: [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000],
+      }),
+      subscriptionMessages: metrics.counter({
+        name: "steem_bridge_subscription_messages_total",
+        help: "Subscription updates sent to clients",
+        labelNames: ["topic"],
+      }),
+      rateLimited: metrics.counter({
+        name: "steem_bridge_rate_limited_total",
+        help: "Requests rejected by the rate limit of an API key or address",
+      }),
+      queueRejections: metrics.counter({
+        name: "steem_bridge_queue_rejections_total",
+        help: "Messages rejected because the request queue was full",
+      }),
+      nodeSwitches: metrics.counter({
+        name: "steem_bridge_node_switches_total",
+        help: "Changes of upstream node by reason",
+        labelNames: ["reason"],
+      }),
+      breakerTransitions: metrics.counter({
+        name: "steem_bridge_breaker_transitions_total",
+        help: "Circuit breaker state changes by node and new state",
+        labelNames: ["node", "state"],
+      }),
+      hedges: metrics.counter({
+        name: "steem_bridge_hedged_requests_total",
+        help: "Upstream calls sent to a second node by method and outcome",
+        labelNames: ["method", "outcome"],
+      }),
+      verifications: metrics.counter({
+        name: "steem_bridge_verified_requests_total",
+        help: "Calls checked across nodes by method and outcome",
+        labelNames: ["method", "outcome"],
+      }),
+      forks: metrics.counter({
+        name: "steem_bridge_forks_total",
+        help: "Chain forks detected by the block streamer",
+      }),
+    };
+
+    metrics.gauge({
+      name: "steem_bridge_connected_clients",
+      help: "Open WebSocket connections",
+      collect: (gauge) => gauge.set({}, this.wss ? this.wss.clients.size : 0),
+    });
+    metrics.gauge({
+      name: "steem_bridge_subscribers",
+      help: "Active subscriptions by topic",
+      labelNames: ["topic"],
+      collect: (gauge) =>
+        Object.entries(SUBSCRIPTION_TOPICS).forEach(([topic, key]) =>
+          gauge.set({ topic }, this.subscribers[key].size)
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_queue_depth",
+      help: "Requests waiting in the queue by lane",
+      labelNames: ["lane"],
+      collect: (gauge) =>
+        Object.entries(this.requestQueue.getStats().depthByLane).forEach(
+          ([lane, depth]) => gauge.set({ lane }, depth)
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_queue_in_flight",
+      help: "Requests being handled by lane",
+      labelNames: ["lane"],
+      collect: (gauge) =>
+        Object.entries(this.requestQueue.getStats().inFlightByLane).forEach(
+          ([lane, running]) => gauge.set({ lane }, running)
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_upstream_in_flight",
+      help: "Distinct upstream calls in progress",
+      collect: (gauge) => gauge.set({}, this.inFlight.size),
+    });
+    metrics.gauge({
+      name: "steem_bridge_cache_entries",
+      help: "Cached responses by namespace",
+      labelNames: ["namespace"],
+      collect: (gauge) =>
+        Object.keys(CACHE_NAMESPACE_TTLS).forEach((namespace) =>
+          gauge.set({ namespace }, this.cache[namespace].size)
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_node_healthy",
+      help: "Whether each upstream node is considered healthy (1) or not (0)",
+      labelNames: ["node"],
+      collect: (gauge) =>
+        this.nodes.forEach((node, index) =>
+          gauge.set({ node }, this.nodeHealth[index].healthy ? 1 : 0)
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_breaker_open",
+      help: "Whether each upstream node's circuit breaker is open (1), half-open (0.5) or closed (0)",
+      labelNames: ["node"],
+      collect: (gauge) =>
+        this.nodeHealth.forEach(({ url, breaker }) =>
+          gauge.set({ node: url }, BREAKER_GAUGE_VALUES[breaker.state])
+        ),
+    });
+    metrics.gauge({
+      name: "steem_bridge_node_head_lag_blocks",
+      help: "Blocks each upstream node is behind the highest head seen",
+      labelNames: ["node"],
+      collect: (gauge) =>
+        this.nodeHealth.forEach(({ url, headLag }) => {
+          if (headLag !== null) gauge.set({ node: url }, headLag);
+        }),
+    });
+    metrics.gauge({
+      name: "steem_bridge_node_score",
+      help: "Expected ms for each upstream node to answer (lower is better)",
+      labelNames: ["node"],
+      collect: (gauge) =>
+        this.nodeHealth.forEach((health) => {
+          const score = health.score();
+          if (score !== null) gauge.set({ node: health.url }, score);
+        }),
+    });
+    metrics.gauge({
+      name: "steem_bridge_current_node",
+      help: "The upstream node in use (1) among the configured nodes",
+      labelNames: ["node"],
+      collect: (gauge) =>
+        this.nodes.forEach((node, index) =>
+          gauge.set({ node }, index === this.currentNodeIndex ? 1 : 0)
+        ),
+    });
+  }
+
   // Get server statistics
   getStats() {
     const uptime = Date.now() - this.startTime;
     return {
       service: "Steem WebSocket API Bridge",
       version: "1.0.0",
-      domain: "dhakawitness.com",
-      status: "running",
+      domain: this.config.domain,
+      status: this.draining ? "draining" : "running",
       uptime: {
         milliseconds: uptime,
         seconds: Math.floor(uptime / 1000),
@@ -1654,35 +3698,73 @@ class SteemWebSocketServer {
         hours: Math.floor(uptime / (1000 * 60 * 60)),
       },
       endpoints: {
-        websocket_production: "wss://dhakawitness.com",
+        websocket_production: `wss://${this.config.domain}`,
         websocket_local: `ws://localhost:${this.port}`,
         health: "/health",
         status: "/status",
+        metrics: "/metrics",
+        rpc: "/rpc",
       },
       connectedClients: this.wss ? this.wss.clients.size : 0,
       subscribers: {
         globalProperties: this.subscribers.globalProperties.size,
         blocks: this.subscribers.blocks.size,
+        irreversibleBlocks: this.subscribers.irreversibleBlocks.size,
         blockHeaders: this.subscribers.blockHeaders.size,
         operations: this.subscribers.operations.size,
+        filteredOperations: Array.from(
+          this.subscribers.operations.values()
+        ).filter((subscription) => subscription.filter).length,
         witnesses: this.subscribers.witnesses.size,
-        total:
-          this.subscribers.globalProperties.size +
-          this.subscribers.blocks.size +
-          this.subscribers.blockHeaders.size +
-          this.subscribers.operations.size +
-          this.subscribers.witnesses.size,
+        powerMeter: this.subscribers.powerMeter.size,
+        transactions: this.subscribers.transactions.size,
+        total: Object.values(this.subscribers).reduce(
+          (sum, subscriptions) => sum + subscriptions.size,
+          0
+        ),
       },
-      queueLength: this.requestQueue.length,
+      queueLength: this.requestQueue.size,
       maxQueueSize: this.maxQueueSize,
-      totalApiCallsSaved: Math.floor((uptime / 1000) * 13.2), // Estimated API calls saved
+      requestQueue: this.requestQueue.getStats(),
+      accountBatching: this.accountBatcher.getStats(),
+      apiKeys: this.apiKeys.getStats(),
+      // Calls answered from cache or by sharing an identical upstream call
+      totalApiCallsSaved:
+        this.errorStats.cacheHits + this.errorStats.coalescedRequests,
       steemNetwork: {
-        currentNode: steemNodes[this.currentNodeIndex],
+        currentNode: this.nodes[this.currentNodeIndex],
         nodeIndex: this.currentNodeIndex,
-        availableNodes: steemNodes.length,
+        pinnedNode: this.pinnedNode,
+        availableNodes: this.nodes.length,
+        enabledNodes: this.nodeHealth.filter((health) => health.enabled).length,
+        healthyNodes: this.nodeHealth.filter((health) => health.healthy).length,
+        networkHead: this.networkHead,
+        nodes: this.listNodes(),
+        breakerTransitions: this.nodeHealth.reduce(
+          (totals, { breaker }) => {
+            Object.entries(breaker.transitions).forEach(([state, count]) => {
+              totals[state] += count;
+            });
+            return totals;
+          },
+          { closed: 0, open: 0, half_open: 0 }
+        ),
+        errors: {
+          node: this.errorStats.nodeErrors,
+          rpc: this.errorStats.rpcErrors,
+          client: this.errorStats.clientErrors,
+          consistency: this.errorStats.consistencyErrors,
+        },
+        autoRecoveries: this.errorStats.autoRecoveries,
+        hedging: this.hedgeBudget.getStats(),
         lastBlockProcessed: this.cache.globalProperties
           ? this.cache.globalProperties.head_block_number
           : null,
+        lastBlockStreamed: this.lastProcessedBlock,
+        blockSequence: this.blockSequence,
+        lastIrreversibleStreamed: this.lastIrreversibleBlock,
+        irreversibleSequence: this.irreversibleSequence,
+        forksDetected: this.forksDetected,
       },
       cache: {
         globalProperties: {
@@ -1705,55 +3787,17 @@ class SteemWebSocketServer {
             : null,
           ttlMs: this.cache.witnessTTL,
         },
+        coalescedRequests: this.errorStats.coalescedRequests,
+        inFlightRequests: this.inFlight.size,
       },
     };
   }
 }
 
-// Start the server
-const PORT = process.env.PORT || 8080;
-const server = new SteemWebSocketServer(PORT);
-
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("\n Shutting down Steem WebSocket API server...");
-
-  if (server.wss) {
-    server.wss.close(() => {
-      console.log("WebSocket server closed");
-      if (server.httpServer) {
-        server.httpServer.close(() => {
-          console.log("HTTP server closed successfully");
-          process.exit(0);
-        });
-      } else {
-        process.exit(0);
-      }
-    });
-  } else {
-    process.exit(0);
-  }
-});
-
-process.on("SIGTERM", () => {
-  console.log("\n Received SIGTERM, shutting down gracefully...");
-
-  if (server.wss) {
-    server.wss.close(() => {
-      console.log("WebSocket server closed");
-      if (server.httpServer) {
-        server.httpServer.close(() => {
-          console.log("HTTP server closed successfully");
-          process.exit(0);
-        });
-      } else {
-        process.exit(0);
-      }
-    });
-  } else {
-    process.exit(0);
-  }
-});
+// Create a bridge without starting it. Options are the settings in config.js
+// plus `server`, an existing http.Server to attach to.
+function createBridge(options = {}) {
+  return new SteemWebSocketServer(options.port, options);
+}
 
-// Export for testing
-module.exports = SteemWebSocketServer;
+module.exports = { createBridge, SteemWebSocketServer, loadConfig };
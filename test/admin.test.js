@@ -0,0 +1,315 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const WebSocket = require("ws");
+const { Logger } = require("../logger");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+const TOKEN = "test-admin-token-0123456789";
+
+function adminRequest(bridge, method, path, { body, token = TOKEN } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: bridge.port,
+        path,
+        method,
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` }),
+          "Content-Type": "application/json",
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+describe("admin API", () => {
+  let env;
+  let auditLines;
+
+  before(async () => {
+    auditLines = [];
+    const logger = new Logger({
+      format: "json",
+      output: (level, line) => {
+        const entry = JSON.parse(line);
+        if (entry.event === "admin") auditLines.push(entry);
+      },
+    });
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+      adminToken: TOKEN,
+      logger,
+    });
+  });
+
+  after(async () => {
+    await env.stop();
+  });
+
+  beforeEach(() => {
+    const { bridge } = env;
+    bridge.unpinNode();
+    bridge.setDraining(false);
+    bridge.nodeHealth.forEach((health) => {
+      health.enabled = true;
+      health.breaker.recordSuccess();
+    });
+    bridge.useNode(0, "admin");
+  });
+
+  it("is disabled without a configured token", async () => {
+    const plain = await startBridge();
+    const response = await adminRequest(plain.bridge, "GET", "/admin/nodes");
+    await plain.stop();
+
+    assert.equal(response.status, 404);
+  });
+
+  it("rejects missing and wrong tokens", async () => {
+    const missing = await adminRequest(env.bridge, "GET", "/admin/nodes", {
+      token: null,
+    });
+    const wrong = await adminRequest(env.bridge, "GET", "/admin/nodes", {
+      token: "not-the-token-at-all",
+    });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+  });
+
+  it("lists clients with their subscriptions and rate-limit state", async () => {
+    const client = await TestClient.connect(env.bridge);
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { filter: { op_types: ["transfer"] } },
+    ]);
+
+    const { status, body } = await adminRequest(
+      env.bridge,
+      "GET",
+      "/admin/clients"
+    );
+    await client.close();
+
+    assert.equal(status, 200);
+    assert.equal(body.clients.length, 1);
+    const [listed] = body.clients;
+    assert.deepEqual(listed.subscriptions, [
+      { id, topic: "operations", filter: { op_types: ["transfer"] } },
+    ]);
+    assert.equal(listed.rateLimit.messages, 1);
+    assert.equal(listed.rateLimit.limit, env.bridge.config.rateLimitPerMinute);
+  });
+
+  it("disconnects a client", async () => {
+    const client = await TestClient.connect(env.bridge);
+    const closed = new Promise((resolve) =>
+      client.ws.once("close", (code) => resolve(code))
+    );
+    const [listed] = env.bridge.listClients();
+
+    const { status } = await adminRequest(
+      env.bridge,
+      "POST",
+      `/admin/clients/${listed.id}/disconnect`
+    );
+    assert.equal(status, 200);
+    assert.equal(await closed, 4000);
+
+    const missing = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/clients/nope/disconnect"
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  it("forces a node switch", async () => {
+    const switches = [];
+    env.bridge.on("nodeSwitch", (data) => switches.push(data));
+
+    const { status, body } = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/nodes/switch"
+    );
+    env.bridge.removeAllListeners("nodeSwitch");
+
+    assert.equal(status, 200);
+    assert.equal(body.nodes.find((node) => node.current).url, env.nodes[1].url);
+    assert.deepEqual(switches, [
+      { from: env.nodes[0].url, to: env.nodes[1].url, reason: "admin" },
+    ]);
+  });
+
+  it("keeps a pinned node through failover", async () => {
+    const pinned = env.nodes[1].url;
+    const { status } = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/nodes/pin",
+      { body: { url: pinned } }
+    );
+    assert.equal(status, 200);
+
+    // Opening its breaker would otherwise fail over
+    env.bridge.nodeHealth[1].breaker.transition("open");
+    assert.equal(env.bridge.nodes[env.bridge.currentNodeIndex], pinned);
+
+    const conflict = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/nodes/switch"
+    );
+    assert.equal(conflict.status, 409);
+
+    await adminRequest(env.bridge, "POST", "/admin/nodes/unpin");
+    env.bridge.selectNode();
+    assert.equal(
+      env.bridge.nodes[env.bridge.currentNodeIndex],
+      env.nodes[0].url
+    );
+  });
+
+  it("adds, disables and removes nodes", async () => {
+    const extra = new MockSteemNode();
+    await extra.start();
+
+    const added = await adminRequest(env.bridge, "POST", "/admin/nodes/add", {
+      body: { url: extra.url },
+    });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.nodes.length, 3);
+
+    // Switching skips disabled nodes
+    await adminRequest(env.bridge, "POST", "/admin/nodes/disable", {
+      body: { url: env.nodes[1].url },
+    });
+    env.bridge.forceNodeSwitch();
+    assert.equal(env.bridge.nodes[env.bridge.currentNodeIndex], extra.url);
+
+    // Removing the current node moves to another one first
+    const removed = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/nodes/remove",
+      { body: { url: extra.url } }
+    );
+    assert.equal(removed.status, 200);
+    assert.deepEqual(
+      removed.body.nodes.map(({ url, current }) => [url, current]),
+      [
+        [env.nodes[0].url, true],
+        [env.nodes[1].url, false],
+      ]
+    );
+    await extra.stop();
+
+    // The only enabled node cannot be disabled or removed
+    const conflict = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/nodes/disable",
+      { body: { url: env.nodes[0].url } }
+    );
+    assert.equal(conflict.status, 409);
+    assert.match(conflict.body.error, /only enabled node/);
+
+    const invalid = await adminRequest(env.bridge, "POST", "/admin/nodes/add", {
+      body: { url: "ftp://node.example" },
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  it("flushes one cache namespace", async () => {
+    const client = await TestClient.connect(env.bridge);
+    env.node.resetCalls();
+    await client.call("get_block", [8]);
+    await client.call("market_history_api.get_ticker");
+
+    const { status } = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/cache/flush",
+      { body: { namespace: "blocks" } }
+    );
+    await client.call("get_block", [8]);
+    await client.call("market_history_api.get_ticker");
+    await client.close();
+
+    assert.equal(status, 200);
+    assert.equal(env.node.callCount("condenser_api.get_block"), 2);
+    assert.equal(env.node.callCount("market_history_api.get_ticker"), 1);
+
+    const unknown = await adminRequest(
+      env.bridge,
+      "POST",
+      "/admin/cache/flush",
+      { body: { namespace: "nope" } }
+    );
+    assert.equal(unknown.status, 400);
+  });
+
+  it("drains: refuses new connections and fails the health check", async () => {
+    const existing = await TestClient.connect(env.bridge);
+
+    const { body } = await adminRequest(env.bridge, "POST", "/admin/drain");
+    assert.deepEqual(body, { draining: true, connectedClients: 1 });
+
+    const refused = await new Promise((resolve) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${env.bridge.port}`);
+      ws.once("close", (code) => resolve(code));
+    });
+    assert.equal(refused, 1013);
+
+    const health = await new Promise((resolve) =>
+      http.get(
+        { host: "127.0.0.1", port: env.bridge.port, path: "/health" },
+        (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        }
+      )
+    );
+    assert.equal(health, 503);
+
+    // Clients already connected are still served
+    const config = await existing.call("get_config");
+    assert.ok(config);
+    await existing.close();
+  });
+
+  it("logs every action for audit", async () => {
+    auditLines.length = 0;
+    await adminRequest(env.bridge, "POST", "/admin/cache/flush", {
+      body: { namespace: "market" },
+    });
+    await adminRequest(env.bridge, "GET", "/admin/nodes", {
+      token: "not-the-token-at-all",
+    });
+
+    assert.deepEqual(
+      auditLines.map(({ msg, action, body }) => [msg, action, body]),
+      [
+        ["Admin action", "flushCache", { namespace: "market" }],
+        ["Admin request rejected", undefined, undefined],
+      ]
+    );
+    assert.ok(auditLines.every((line) => line.clientIP));
+  });
+});
@@ -0,0 +1,315 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { ConfigError } = require("../config");
+const { startBridge, TestClient } = require("./helpers");
+
+const FREE_KEY = "free-key-0123456789";
+const PRO_KEY = "pro-key-0123456789";
+
+const TIERS = {
+  anonymous: { requestsPerMinute: 2 },
+  free: {
+    methods: ["condenser_api.get_config", "subscribe*"],
+    maxSubscriptions: 1,
+    maxConnections: 1,
+  },
+  pro: {},
+};
+
+const KEYS = [
+  { key: FREE_KEY, name: "alice", tier: "free" },
+  { key: PRO_KEY, name: "bob", tier: "pro" },
+];
+
+// Close code of a connection the bridge refuses
+function refusedWith(bridge, { path: urlPath = "/", headers } = {}) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${bridge.port}${urlPath}`, {
+      headers,
+    });
+    ws.once("close", (code) => resolve(code));
+  });
+}
+
+function httpRpc(bridge, payload, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: bridge.port,
+        path: "/rpc",
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(payload));
+  });
+}
+
+describe("API keys and tiers", () => {
+  let dir;
+  let keysFile;
+  let env;
+  let clients;
+
+  const connect = async (options) => {
+    const client = await TestClient.connect(env.bridge, options);
+    clients.push(client);
+    return client;
+  };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "steem-bridge-keys-"));
+    keysFile = path.join(dir, "keys.json");
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: KEYS }));
+    env = await startBridge({ tiers: TIERS, apiKeysFile: keysFile });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    clients = [];
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: KEYS }));
+    env.bridge.reloadApiKeys();
+    // Every client here shares one address, and so one anonymous limit
+    env.bridge.rateLimiter.clear();
+  });
+
+  after(async () => {
+    await env.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("accepts keys in the query string, a header or authenticate", async () => {
+    const query = await connect({ path: `/?api_key=${PRO_KEY}` });
+    const header = await connect({ headers: { "X-API-Key": PRO_KEY } });
+    const anonymous = await connect();
+
+    assert.equal(query.welcome.tier, "pro");
+    assert.equal(header.welcome.tier, "pro");
+    assert.equal(anonymous.welcome.tier, "anonymous");
+    assert.equal(anonymous.welcome.rateLimits.requestsPerMinute, 2);
+
+    const result = await anonymous.call("authenticate", [PRO_KEY]);
+    assert.deepEqual(result, {
+      authenticated: true,
+      name: "bob",
+      tier: "pro",
+      limits: {
+        requestsPerMinute: env.bridge.config.rateLimitPerMinute,
+        maxSubscriptions: null,
+        maxConnections: null,
+        methods: null,
+      },
+    });
+
+    const invalid = await anonymous.request("authenticate", {
+      api_key: "not-a-real-key-at-all",
+    });
+    assert.equal(invalid.error.code, -32003);
+  });
+
+  it("refuses unknown keys", async () => {
+    assert.equal(
+      await refusedWith(env.bridge, { path: "/?api_key=wrong-key-0123456789" }),
+      4001
+    );
+
+    const response = await httpRpc(
+      env.bridge,
+      { jsonrpc: "2.0", id: 1, method: "get_config" },
+      { "X-API-Key": "wrong-key-0123456789" }
+    );
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, -32003);
+  });
+
+  it("applies the tier's rate limit", async () => {
+    const anonymous = await connect();
+    await anonymous.call("get_config");
+    await anonymous.call("get_config");
+    anonymous.send({ jsonrpc: "2.0", id: 99, method: "get_config" });
+    const rejection = await anonymous.next((message) => message.error);
+    assert.equal(rejection.error.code, -32002);
+
+    // Other tiers keep their own limit
+    const pro = await connect({ headers: { "X-API-Key": PRO_KEY } });
+    for (let i = 0; i < 3; i++) {
+      await pro.call("get_config");
+    }
+  });
+
+  it("shares the rate limit between connections and HTTP", async () => {
+    const { usage } = env.bridge.getStats().apiKeys;
+    const rejectedBefore = usage.anonymous ? usage.anonymous.rejected : 0;
+    const anonymous = await connect();
+    await anonymous.call("get_config");
+
+    const second = await httpRpc(env.bridge, {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "get_config",
+    });
+    const limited = await httpRpc(env.bridge, [
+      { jsonrpc: "2.0", id: 2, method: "get_config" },
+    ]);
+    const pro = await httpRpc(
+      env.bridge,
+      { jsonrpc: "2.0", id: 3, method: "get_config" },
+      { "X-API-Key": PRO_KEY }
+    );
+    anonymous.send({ jsonrpc: "2.0", id: 4, method: "get_config" });
+    const overWebSocket = await anonymous.next((message) => message.error);
+
+    assert.equal(second.status, 200);
+    assert.ok(second.body.result);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.code, -32002);
+    assert.equal(
+      limited.body.error.message,
+      "Rate limit exceeded. Max 2 requests per minute."
+    );
+    assert.ok(limited.body.error.data.rateLimitReset);
+    assert.ok(pro.body.result);
+    assert.equal(overWebSocket.error.code, -32002);
+    assert.equal(
+      env.bridge.getStats().apiKeys.usage.anonymous.rejected,
+      rejectedBefore + 2
+    );
+    assert.match(
+      env.bridge.metrics.render(),
+      /steem_bridge_rate_limited_total [2-9]/
+    );
+  });
+
+  it("only allows the tier's methods", async () => {
+    const free = await connect({ headers: { "X-API-Key": FREE_KEY } });
+    assert.ok(await free.call("get_config"));
+
+    const denied = await free.request("get_block", [1]);
+    assert.equal(denied.error.code, -32004);
+    assert.match(denied.error.message, /condenser_api.get_block/);
+
+    const response = await httpRpc(
+      env.bridge,
+      { jsonrpc: "2.0", id: 1, method: "get_block", params: [1] },
+      { "X-API-Key": FREE_KEY }
+    );
+    assert.equal(response.body.error.code, -32004);
+  });
+
+  it("limits subscriptions and connections per key", async () => {
+    const free = await connect({ headers: { "X-API-Key": FREE_KEY } });
+    await free.call("subscribe", ["blocks", {}]);
+    const second = await free.request("subscribe", ["operations", {}]);
+    assert.equal(second.error.code, -32004);
+
+    assert.equal(
+      await refusedWith(env.bridge, { headers: { "X-API-Key": FREE_KEY } }),
+      1008
+    );
+  });
+
+  it("requires a key when there is no anonymous tier", async () => {
+    const keyed = await startBridge({
+      tiers: TIERS,
+      apiKeysFile: keysFile,
+      anonymousTier: null,
+    });
+    const client = await TestClient.connect(keyed.bridge);
+
+    const refused = await client.request("get_config");
+    await client.call("authenticate", [PRO_KEY]);
+    const config = await client.call("get_config");
+    const overHttp = await httpRpc(keyed.bridge, {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "get_config",
+    });
+    await client.close();
+    await keyed.stop();
+
+    assert.equal(client.welcome.tier, null);
+    assert.equal(refused.error.code, -32003);
+    assert.ok(config);
+    assert.equal(overHttp.body.error.code, -32003);
+  });
+
+  it("reloads keys, closing revoked connections", async () => {
+    const free = await connect({ headers: { "X-API-Key": FREE_KEY } });
+    const pro = await connect({ headers: { "X-API-Key": PRO_KEY } });
+    const closed = new Promise((resolve) =>
+      pro.ws.once("close", (code) => resolve(code))
+    );
+
+    fs.writeFileSync(
+      keysFile,
+      JSON.stringify({ keys: [{ key: FREE_KEY, name: "alice", tier: "pro" }] })
+    );
+    const stats = env.bridge.reloadApiKeys();
+
+    assert.equal(stats.keys, 1);
+    assert.equal(await closed, 4001);
+    // alice moved to the pro tier, which allows every method
+    assert.ok(await free.call("get_block", [1]));
+  });
+
+  it("keeps the loaded keys when the file has problems", async () => {
+    fs.writeFileSync(
+      keysFile,
+      JSON.stringify({ keys: [{ key: "short", name: "x", tier: "gold" }] })
+    );
+
+    assert.throws(
+      () => env.bridge.reloadApiKeys(),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 2);
+        return true;
+      }
+    );
+    assert.equal(env.bridge.apiKeys.lookup(PRO_KEY).name, "bob");
+  });
+
+  it("reports usage per key in stats", async () => {
+    const before = env.bridge.getStats().apiKeys.usage.bob || {
+      requests: 0,
+      totalConnections: 0,
+    };
+    const pro = await connect({ path: `/?api_key=${PRO_KEY}` });
+    await pro.call("get_config");
+    await httpRpc(
+      env.bridge,
+      { jsonrpc: "2.0", id: 1, method: "get_config" },
+      { "X-API-Key": PRO_KEY }
+    );
+
+    const { apiKeys } = env.bridge.getStats();
+    assert.equal(apiKeys.file, keysFile);
+    assert.equal(apiKeys.keys, 2);
+    assert.equal(apiKeys.usage.bob.tier, "pro");
+    assert.equal(apiKeys.usage.bob.connections, 1);
+    assert.equal(
+      apiKeys.usage.bob.totalConnections,
+      before.totalConnections + 1
+    );
+    assert.equal(apiKeys.usage.bob.requests, before.requests + 2);
+    assert.ok(apiKeys.usage.anonymous.rejected >= 1);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+describe("caching and upstream call sharing", () => {
+  let env;
+  let client;
+
+  before(async () => {
+    const node = new MockSteemNode({
+      accounts: [{ name: "alice" }, { name: "bob" }, { name: "carol" }],
+    });
+    // Concurrent lookups arrive as separate messages, which a busy machine
+    // can spread over more than the default test window
+    env = await startBridge({ nodes: [node], accountBatchWindowMs: 50 });
+    client = await TestClient.connect(env.bridge);
+  });
+
+  after(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  beforeEach(() => {
+    env.node.resetCalls();
+    env.node.setLatency(0);
+  });
+
+  it("serves repeated block requests from cache", async () => {
+    const saved = env.bridge.getStats().totalApiCallsSaved;
+    const first = await client.call("get_block", [40]);
+    const second = await client.call("get_block", [40]);
+
+    assert.deepEqual(second, first);
+    assert.equal(env.node.callCount("condenser_api.get_block"), 1);
+    assert.equal(env.bridge.getStats().totalApiCallsSaved - saved, 1);
+  });
+
+  it("caches market data", async () => {
+    await client.call("market_history_api.get_ticker", []);
+    await client.call("market_history_api.get_ticker", []);
+    assert.equal(env.node.callCount("market_history_api.get_ticker"), 1);
+  });
+
+  it("shares one upstream call between concurrent identical requests", async () => {
+    env.node.setLatency(50);
+    const coalescedBefore = env.bridge.errorStats.coalescedRequests;
+
+    // No more than perClientConcurrency (4), so all run at once
+    const results = await Promise.all(
+      Array.from({ length: 4 }, () =>
+        client.call("get_ops_in_block", [60, false])
+      )
+    );
+
+    results.forEach((result) => assert.deepEqual(result, results[0]));
+    assert.equal(env.node.callCount("condenser_api.get_ops_in_block"), 1);
+    assert.equal(env.bridge.errorStats.coalescedRequests - coalescedBefore, 3);
+  });
+
+  it("merges concurrent single-account lookups into one call", async () => {
+    const [alice, bob, carol] = await Promise.all([
+      client.call("get_accounts", [["alice"]]),
+      client.call("get_accounts", [["bob"]]),
+      client.call("get_accounts", [["carol"]]),
+    ]);
+
+    assert.deepEqual(
+      [alice, bob, carol].map((accounts) => accounts.map((a) => a.name)),
+      [["alice"], ["bob"], ["carol"]]
+    );
+    const calls = env.node.calls.filter(
+      (call) => call.method === "condenser_api.get_accounts"
+    );
+    assert.equal(calls.length, 1);
+    assert.deepEqual([...calls[0].params[0]].sort(), ["alice", "bob", "carol"]);
+  });
+
+  it("fails only the lookup with an invalid account name", async () => {
+    const [valid, invalid] = await Promise.all([
+      client.request("database_api.find_accounts", { accounts: ["alice"] }),
+      client.request("database_api.find_accounts", { accounts: ["Not Valid"] }),
+    ]);
+
+    assert.deepEqual(
+      valid.result.accounts.map((account) => account.name),
+      ["alice"]
+    );
+    assert.match(invalid.error.message, /Invalid account name/);
+  });
+
+  it("does not cache failed calls", async () => {
+    env.node.fail("condenser_api.get_block_header");
+    const failed = await client.request("get_block_header", [70]);
+    assert.ok(failed.error);
+
+    const header = await client.call("get_block_header", [70]);
+    assert.equal(header.previous, env.node.blocks.get(69).block_id);
+    assert.equal(env.node.callCount("condenser_api.get_block_header"), 2);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { CircuitBreaker } = require("../circuit-breaker");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+describe("circuit breaker", () => {
+  it("opens after failures in a row and closes after a trial call", () => {
+    const changes = [];
+    const breaker = new CircuitBreaker({
+      failureThreshold: 2,
+      cooldownMs: 0,
+      halfOpenRequests: 1,
+      onStateChange: (from, to) => changes.push(`${from}>${to}`),
+    });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.state, "closed");
+    breaker.recordFailure();
+    assert.equal(breaker.state, "open");
+
+    // The cool-down has passed: one trial call, then nothing until it ends
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, "half_open");
+    assert.equal(breaker.allowRequest(), false);
+    breaker.recordSuccess();
+
+    assert.equal(breaker.state, "closed");
+    assert.deepEqual(changes, [
+      "closed>open",
+      "open>half_open",
+      "half_open>closed",
+    ]);
+    assert.deepEqual(breaker.describe().transitions, {
+      closed: 1,
+      open: 1,
+      half_open: 1,
+    });
+  });
+
+  it("reopens when the trial call fails", () => {
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      cooldownMs: 60000,
+    });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.openedAt -= 60000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+
+    assert.equal(breaker.state, "open");
+    assert.equal(breaker.allowRequest(), false);
+  });
+});
+
+describe("circuit breakers in the bridge", () => {
+  let env;
+  let client;
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  const start = async (circuitBreaker) => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+      circuitBreaker,
+    });
+    client = await TestClient.connect(env.bridge);
+  };
+
+  it("emits and counts state changes, recovering through a probe", async () => {
+    await start({ failureThreshold: 1, cooldownMs: 0 });
+    const [primary, backup] = env.nodes;
+    const states = [];
+    const switches = [];
+    env.bridge.on("nodeState", (event) => states.push(event));
+    env.bridge.on("nodeSwitch", (event) => switches.push(event.reason));
+
+    primary.setDown();
+    await client.call("get_block", [10]);
+    primary.setDown(false);
+    await env.bridge.checkNodeHealth();
+
+    assert.deepEqual(states, [
+      { node: primary.url, from: "closed", to: "open" },
+      { node: primary.url, from: "open", to: "half_open" },
+      { node: primary.url, from: "half_open", to: "closed" },
+    ]);
+    assert.deepEqual(switches, ["unhealthy"]);
+    const { steemNetwork } = env.bridge.getStats();
+    assert.equal(steemNetwork.currentNode, backup.url);
+    assert.deepEqual(steemNetwork.breakerTransitions, {
+      closed: 1,
+      open: 1,
+      half_open: 1,
+    });
+    assert.equal(steemNetwork.nodes[0].breaker.state, "closed");
+  });
+
+  it("does not count client or JSON-RPC errors against the node", async () => {
+    await start({ failureThreshold: 1 });
+    const [primary] = env.nodes;
+    primary.fail("condenser_api.get_content", { message: "Bad permlink" });
+
+    const invalid = await client.request("get_block", []);
+    const rpc = await client.request("get_content", ["alice", "post"]);
+
+    assert.equal(invalid.error.code, -32602);
+    assert.equal(rpc.error.message, "Bad permlink");
+    const { steemNetwork } = env.bridge.getStats();
+    assert.equal(steemNetwork.nodeIndex, 0);
+    assert.equal(steemNetwork.nodes[0].breaker.consecutiveFailures, 0);
+    assert.deepEqual(steemNetwork.errors, {
+      node: 0,
+      rpc: 1,
+      client: 1,
+      consistency: 0,
+    });
+  });
+
+  it("keeps irreversible blocks cached across a failover", async () => {
+    await start({ failureThreshold: 1 });
+    const [primary, backup] = env.nodes;
+    await client.call("get_dynamic_global_properties");
+    const lib = primary.lastIrreversibleBlock;
+    await client.call("get_block", [lib]);
+    await client.call("get_block", [lib + 5]);
+
+    primary.setDown();
+    await client.call("get_accounts", [["alice"]]).catch(() => {});
+    assert.equal(env.bridge.getStats().steemNetwork.currentNode, backup.url);
+    backup.resetCalls();
+
+    await client.call("get_block", [lib]);
+    await client.call("get_block", [lib + 5]);
+
+    assert.deepEqual(
+      backup.calls
+        .filter(({ method }) => method === "condenser_api.get_block")
+        .map(({ params }) => params[0]),
+      [lib + 5]
+    );
+  });
+});
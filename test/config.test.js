@@ -0,0 +1,251 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_CONFIG,
+  ConfigError,
+  loadConfig,
+  resolveConfig,
+} = require("../config");
+
+describe("configuration", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "steem-bridge-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  it("uses the defaults without a file or environment", () => {
+    assert.deepEqual(loadConfig({ env: {} }), DEFAULT_CONFIG);
+  });
+
+  it("reads YAML and JSON files", () => {
+    const yamlFile = writeFile(
+      "bridge.yaml",
+      "domain: bridge.example.org\nnodes:\n  - http://127.0.0.1:9000/\ncache:\n  blockTTL: 1000\n"
+    );
+    const jsonFile = writeFile(
+      "bridge.json",
+      JSON.stringify({ maxConnections: 5 })
+    );
+
+    const fromYaml = loadConfig({ file: yamlFile, env: {} });
+    assert.equal(fromYaml.domain, "bridge.example.org");
+    assert.deepEqual(fromYaml.nodes, ["http://127.0.0.1:9000/"]);
+    assert.equal(fromYaml.cache.blockTTL, 1000);
+    assert.equal(fromYaml.cache.accountTTL, DEFAULT_CONFIG.cache.accountTTL);
+
+    const fromJson = loadConfig({ env: { STEEM_BRIDGE_CONFIG: jsonFile } });
+    assert.equal(fromJson.maxConnections, 5);
+  });
+
+  it("lets environment variables override the file", () => {
+    const file = writeFile("override.json", JSON.stringify({ port: 9000 }));
+
+    const config = loadConfig({
+      file,
+      env: {
+        PORT: "9001",
+        STEEM_BRIDGE_RATE_LIMIT_PER_MINUTE: "50",
+        STEEM_BRIDGE_CACHE_OTHER_TTL: "5",
+        STEEM_BRIDGE_ALLOWED_ORIGINS: "https://a.example, https://b.example",
+      },
+    });
+
+    assert.equal(config.port, 9001);
+    assert.equal(config.rateLimitPerMinute, 50);
+    assert.equal(config.cache.otherTTL, 5);
+    assert.deepEqual(config.allowedOrigins, [
+      "https://a.example",
+      "https://b.example",
+    ]);
+    assert.equal(
+      loadConfig({ env: { PORT: "9001", STEEM_BRIDGE_PORT: "9002" } }).port,
+      9002
+    );
+  });
+
+  it("reports every problem at once", () => {
+    const file = writeFile(
+      "bad.json",
+      JSON.stringify({ nodes: [], maxConection: 3, cache: { blockTTL: -1 } })
+    );
+
+    assert.throws(
+      () => loadConfig({ file, env: { STEEM_BRIDGE_MAX_PAYLOAD: "16kb" } }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          `${file}: unknown option "maxConection"`,
+          "STEEM_BRIDGE_MAX_PAYLOAD must be a positive integer",
+          "nodes must be a non-empty list of http(s) URLs",
+          "cache.blockTTL must be a non-negative integer",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("rejects unreadable and unsupported files", () => {
+    assert.throws(
+      () => loadConfig({ file: path.join(dir, "missing.yaml"), env: {} }),
+      /cannot read config file/
+    );
+    assert.throws(
+      () => loadConfig({ file: writeFile("bridge.toml", "port = 1"), env: {} }),
+      /must end in \.json, \.yaml or \.yml/
+    );
+  });
+
+  it("reads logging settings from the file and environment", () => {
+    const file = writeFile(
+      "logging.yaml",
+      "logging:\n  format: json\n  redact: [params, password]\n"
+    );
+
+    const config = loadConfig({
+      file,
+      env: {
+        STEEM_BRIDGE_LOGGING_LEVEL: "DEBUG",
+        STEEM_BRIDGE_LOGGING_SAMPLING: "broadcast=10, fork=2",
+      },
+    });
+    assert.deepEqual(config.logging, {
+      level: "debug",
+      format: "json",
+      redact: ["params", "password"],
+      sampling: { broadcast: 10, fork: 2 },
+    });
+
+    assert.throws(
+      () =>
+        loadConfig({
+          env: {
+            STEEM_BRIDGE_LOGGING_LEVEL: "verbose",
+            STEEM_BRIDGE_LOGGING_SAMPLING: "broadcast",
+          },
+        }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          'STEEM_BRIDGE_LOGGING_SAMPLING must be a map of event names to positive integers ("event=N,...")',
+          "logging.level must be one of error, warn, info, debug",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("reads and validates tiers", () => {
+    const config = loadConfig({
+      env: {
+        STEEM_BRIDGE_TIERS:
+          '{"free": {"requestsPerMinute": 60, "methods": ["condenser_api.*"]}}',
+        STEEM_BRIDGE_ANONYMOUS_TIER: "",
+      },
+    });
+    assert.deepEqual(config.tiers, {
+      free: { requestsPerMinute: 60, methods: ["condenser_api.*"] },
+    });
+    assert.equal(config.anonymousTier, null);
+
+    assert.throws(
+      () =>
+        resolveConfig({
+          tiers: { free: { maxConnections: 0, burst: 5 } },
+          anonymousTier: "anonymous",
+        }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          "tiers.free.maxConnections must be a positive integer",
+          'tiers.free: unknown setting "burst"',
+          "anonymousTier must be one of free",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("reads hedged methods from the environment", () => {
+    const config = loadConfig({
+      env: {
+        STEEM_BRIDGE_HEDGING_METHODS:
+          "condenser_api.get_block=95, condenser_api.get_accounts=90",
+      },
+    });
+    assert.deepEqual(config.hedging, {
+      methods: {
+        "condenser_api.get_block": 95,
+        "condenser_api.get_accounts": 90,
+      },
+      minDelayMs: DEFAULT_CONFIG.hedging.minDelayMs,
+      budgetPercent: DEFAULT_CONFIG.hedging.budgetPercent,
+    });
+
+    assert.throws(
+      () =>
+        resolveConfig({
+          hedging: { methods: { get_block: 95 }, budgetPercent: 150 },
+        }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          'hedging.methods must be a map of "api.method" names to percentiles from 1 to 100 ("api.method=P,...")',
+          "hedging.budgetPercent must be an integer from 0 to 100",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("reads and validates verified methods", () => {
+    const config = loadConfig({
+      env: { STEEM_BRIDGE_VERIFICATION_METHODS: "condenser_api.get_accounts" },
+    });
+    assert.deepEqual(config.verification, {
+      methods: ["condenser_api.get_accounts"],
+      nodes: 2,
+    });
+
+    assert.throws(
+      () =>
+        resolveConfig({ verification: { methods: ["get_block"], nodes: 1 } }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          'verification.methods must be a list of "api.method" names',
+          "verification.nodes must be an integer of at least 2",
+        ]);
+        return true;
+      }
+    );
+    assert.throws(
+      () =>
+        resolveConfig({
+          nodes: ["https://a.example/", "https://b.example/"],
+          verification: { nodes: 3 },
+        }),
+      /verification.nodes \(3\) must not exceed the number of nodes \(2\)/
+    );
+    assert.equal(
+      resolveConfig({ nodes: ["https://a.example/"] }).verification.nodes,
+      2
+    );
+  });
+
+  it("validates options passed in code", () => {
+    assert.throws(
+      () => resolveConfig({ nodes: ["ftp://node.example"] }),
+      /nodes contains an invalid http\(s\) URL/
+    );
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+describe("node failover", () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+    });
+    client = await TestClient.connect(env.bridge);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  it("moves to the next node when the current one is down", async () => {
+    const [primary, backup] = env.nodes;
+    const switches = [];
+    env.bridge.on("nodeSwitch", (event) => switches.push(event));
+    primary.setDown();
+
+    // The call is retried on the backup; one fault does not fail over
+    const block = await client.call("get_block", [10]);
+    assert.equal(block.block_id, backup.blocks.get(10).block_id);
+    assert.deepEqual(switches, []);
+
+    // The third fault in a row opens the primary's breaker
+    await client.call("get_block", [11]);
+    await client.call("get_block", [12]);
+    assert.deepEqual(switches, [
+      { from: primary.url, to: backup.url, reason: "unhealthy" },
+    ]);
+    assert.equal(env.bridge.getStats().steemNetwork.currentNode, backup.url);
+  });
+
+  it("fails over on HTTP errors", async () => {
+    const [primary, backup] = env.nodes;
+    primary.fail("*", { status: 503, times: 100 });
+
+    const header = await client.call("get_block_header", [10]);
+
+    assert.equal(header.previous, backup.blocks.get(9).block_id);
+    assert.equal(backup.callCount("condenser_api.get_block_header"), 1);
+  });
+
+  it("stays on a node that answers with a JSON-RPC error", async () => {
+    const [primary, backup] = env.nodes;
+    primary.fail("condenser_api.get_content", { message: "Bad permlink" });
+
+    const response = await client.request("get_content", ["alice", "post"]);
+
+    assert.equal(response.error.message, "Bad permlink");
+    assert.equal(env.bridge.getStats().steemNetwork.nodeIndex, 0);
+    assert.equal(backup.callCount(), 0);
+  });
+
+  it("switches away from a node failing its health check", async () => {
+    const [primary, backup] = env.nodes;
+    const errors = [];
+    env.bridge.on("error", (error, source) => errors.push(source));
+    primary.setDown();
+
+    await env.bridge.checkNodeHealth();
+
+    assert.deepEqual(errors, ["health_check"]);
+    assert.equal(env.bridge.getStats().steemNetwork.currentNode, backup.url);
+    const result = await client.call("get_dynamic_global_properties");
+    assert.equal(result.head_block_number, backup.headBlock);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { HedgeBudget } = require("../hedge-budget");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+describe("hedge budget", () => {
+  it("earns a share of a hedge per call, up to the burst", () => {
+    const budget = new HedgeBudget({ percent: 10, burst: 2 });
+
+    for (let i = 0; i < 9; i++) budget.recordCall();
+    assert.equal(budget.take(), false);
+    budget.recordCall();
+    assert.equal(budget.take(), true);
+    assert.equal(budget.take(), false);
+
+    for (let i = 0; i < 50; i++) budget.recordCall();
+    assert.equal(budget.take(), true);
+    assert.equal(budget.take(), true);
+    assert.equal(budget.take(), false);
+    assert.deepEqual(budget.getStats(), {
+      percent: 10,
+      tokens: 0,
+      calls: 60,
+      hedges: 3,
+      denied: 3,
+    });
+  });
+});
+
+describe("hedged requests", () => {
+  let env;
+  let client;
+  let upstreamCalls;
+
+  afterEach(async () => {
+    // Let ignored calls finish before the nodes stop
+    await Promise.all(upstreamCalls);
+    await client.close();
+    await env.stop();
+  });
+
+  const start = async (hedging) => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+      hedging: {
+        methods: { "condenser_api.get_block": 50 },
+        minDelayMs: 20,
+        ...hedging,
+      },
+    });
+    client = await TestClient.connect(env.bridge);
+    upstreamCalls = [];
+    const callNode = env.bridge.callNode.bind(env.bridge);
+    env.bridge.callNode = (...args) => {
+      const call = callNode(...args);
+      upstreamCalls.push(call.catch(() => {}));
+      return call;
+    };
+    // Latency samples for the primary node
+    await client.call("get_block", [1]);
+  };
+
+  it("answers a slow call from a second node", async () => {
+    await start({ budgetPercent: 100 });
+    const [primary, backup] = env.nodes;
+    primary.setLatency(250);
+
+    const block = await client.call("get_block", [10]);
+
+    assert.equal(block.block_id, backup.blocks.get(10).block_id);
+    assert.equal(primary.callCount("condenser_api.get_block"), 2);
+    assert.equal(backup.callCount("condenser_api.get_block"), 1);
+    assert.equal(env.bridge.getStats().steemNetwork.hedging.hedges, 1);
+    assert.match(
+      env.bridge.metrics.render(),
+      /steem_bridge_hedged_requests_total\{method="condenser_api.get_block",outcome="won"\} 1/
+    );
+    // The primary's late answer is ignored but still counts as a success
+    await Promise.all(upstreamCalls);
+    assert.equal(env.bridge.nodeHealth[0].breaker.consecutiveFailures, 0);
+  });
+
+  it("does not hedge unlisted methods or beyond the budget", async () => {
+    await start({ budgetPercent: 0 });
+    const [primary, backup] = env.nodes;
+    primary.setLatency(100);
+
+    await client.call("get_block", [10]);
+    await client.call("get_block_header", [10]);
+
+    assert.equal(backup.callCount(), 0);
+    assert.deepEqual(env.bridge.getStats().steemNetwork.hedging, {
+      percent: 0,
+      tokens: 0,
+      calls: 3,
+      hedges: 0,
+      denied: 1,
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// Shared setup for the integration tests: a bridge started against mock
+// nodes and a WebSocket client that hands out messages as they arrive.
+
+const WebSocket = require("ws");
+const { createBridge } = require("../steem-bridge");
+const { MockSteemNode } = require("./mock-steem-node");
+
+// The update loops never fire on their own; tests call
+// bridge.periodicUpdate() to advance the chain state. globalTTL 0 makes each
+// update fetch fresh global properties.
+const TEST_OPTIONS = {
+  port: 0,
+  updateIntervalMs: 3600000,
+  healthCheckIntervalMs: 3600000,
+  upstreamTimeoutMs: 300,
+  accountBatchWindowMs: 5,
+  cache: { globalTTL: 0 },
+};
+
+// Safety net for waits on messages that should arrive; never a test delay
+const WAIT_TIMEOUT_MS = 3000;
+
+async function startBridge({ nodes, ...options } = {}) {
+  const mockNodes = nodes || [new MockSteemNode()];
+  await Promise.all(mockNodes.map((node) => node.start()));
+
+  const bridge = createBridge({
+    ...TEST_OPTIONS,
+    ...options,
+    cache: { ...TEST_OPTIONS.cache, ...options.cache },
+    nodes: mockNodes.map((node) => node.url),
+  });
+  await bridge.start();
+
+  return {
+    bridge,
+    node: mockNodes[0],
+    nodes: mockNodes,
+    async stop() {
+      await bridge.stop();
+      await Promise.all(mockNodes.map((node) => node.stop()));
+    },
+  };
+}
+
+class TestClient {
+  constructor(url, headers = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.ws = null;
+    this.nextId = 1;
+    this.buffer = []; // Messages no waiter has taken yet
+    this.waiters = []; // { predicate, resolve, reject, timer }
+    this.welcome = null;
+  }
+
+  // path may carry a query string, e.g. "/?api_key=..."
+  static async connect(bridge, { path = "/", headers } = {}) {
+    const client = new TestClient(
+      `ws://127.0.0.1:${bridge.port}${path}`,
+      headers
+    );
+    await client.open();
+    return client;
+  }
+
+  async open() {
+    this.ws = new WebSocket(this.url, { headers: this.headers });
+    this.ws.on("message", (message) => this.receive(JSON.parse(message)));
+    this.welcome = await this.next((message) => message.type === "connection");
+  }
+
+  receive(message) {
+    const index = this.waiters.findIndex(({ predicate }) => predicate(message));
+    if (index === -1) {
+      this.buffer.push(message);
+      return;
+    }
+    const [waiter] = this.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(message);
+  }
+
+  // Resolves with the first message matching predicate, including ones that
+  // arrived before the call
+  next(predicate = () => true) {
+    const index = this.buffer.findIndex(predicate);
+    if (index !== -1) {
+      return Promise.resolve(this.buffer.splice(index, 1)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error("Timed out waiting for a message"));
+      }, WAIT_TIMEOUT_MS);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // Next subscription update for a subscription id: a data update, or an
+  // event such as "fork" when one is named
+  update(subscriptionId, event = null) {
+    return this.next(
+      (message) =>
+        message.type === "subscription_update" &&
+        message.subscription_id === subscriptionId &&
+        (message.event ?? null) === event
+    );
+  }
+
+  send(payload) {
+    this.ws.send(JSON.stringify(payload));
+  }
+
+  // JSON-RPC 2.0 request, with any extra members such as { verified: true };
+  // resolves with the whole response envelope
+  request(method, params = [], members = {}) {
+    const id = this.nextId++;
+    this.send({ jsonrpc: "2.0", id, method, params, ...members });
+    return this.next((message) => message.id === id);
+  }
+
+  // Like request, but resolves with the result and rejects on an error
+  async call(method, params = []) {
+    const response = await this.request(method, params);
+    if (response.error) {
+      const error = new Error(response.error.message);
+      error.code = response.error.code;
+      throw error;
+    }
+    return response.result;
+  }
+
+  close() {
+    this.waiters.forEach(({ timer }) => clearTimeout(timer));
+    this.waiters = [];
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.ws.once("close", () => resolve());
+      this.ws.close();
+    });
+  }
+}
+
+module.exports = { startBridge, TestClient, TEST_OPTIONS };
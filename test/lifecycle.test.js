@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createBridge } = require("../steem-bridge");
+const { startBridge, TestClient, TEST_OPTIONS } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port, path }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+describe("bridge lifecycle", () => {
+  it("does nothing until started", () => {
+    const bridge = createBridge({ ...TEST_OPTIONS });
+    assert.equal(bridge.httpServer, null);
+    assert.equal(bridge.timers.length, 0);
+  });
+
+  it("stops its timers, clients and server", async () => {
+    const env = await startBridge();
+    const { bridge } = env;
+    const port = bridge.port;
+    const client = await TestClient.connect(bridge);
+    const closed = new Promise((resolve) =>
+      client.ws.once("close", (code) => resolve(code))
+    );
+
+    await env.stop();
+
+    assert.equal(await closed, 1001);
+    assert.equal(bridge.timers.length, 0);
+    await assert.rejects(get(port, "/health"), { code: "ECONNREFUSED" });
+  });
+
+  it("fails pending batched lookups and clears hedge timers", async () => {
+    const env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+      accountBatchWindowMs: 60000,
+      hedging: {
+        methods: { "condenser_api.get_block": 50 },
+        minDelayMs: 60000,
+      },
+    });
+    const { bridge } = env;
+    await bridge.callMethod("condenser_api.get_block", [1]);
+    env.nodes[0].setLatency(100);
+
+    const lookup = bridge.callMethod("condenser_api.get_accounts", [["alice"]]);
+    const block = bridge.callMethod("condenser_api.get_block", [2]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(bridge.hedgeTimers.size, 1);
+    await bridge.stop();
+
+    await assert.rejects(lookup, /Server shutting down/);
+    assert.equal(bridge.hedgeTimers.size, 0);
+    assert.equal(bridge.accountBatcher.getStats().pendingBatches, 0);
+    // The upstream call itself still finishes
+    await block;
+    await env.stop();
+  });
+
+  it("attaches to an existing http.Server", async () => {
+    const node = new MockSteemNode();
+    await node.start();
+    const host = http.createServer((req, res) => {
+      if (req.url === "/bridge/status") {
+        req.url = "/status";
+        bridge.handleHttpRequest(req, res);
+        return;
+      }
+      res.end("host");
+    });
+    await new Promise((resolve) => host.listen(0, "127.0.0.1", resolve));
+    const bridge = createBridge({
+      ...TEST_OPTIONS,
+      nodes: [node.url],
+      server: host,
+    });
+    await bridge.start();
+
+    assert.equal(bridge.port, host.address().port);
+    const client = await TestClient.connect(bridge);
+    const result = await client.call("get_block", [5]);
+    assert.equal(result.block_id, node.blocks.get(5).block_id);
+    assert.equal((await get(bridge.port, "/")).body, "host");
+    const status = JSON.parse((await get(bridge.port, "/bridge/status")).body);
+    assert.equal(status.connectedClients, 1);
+
+    await client.close();
+    await bridge.stop();
+    assert.equal(host.listening, true);
+    await new Promise((resolve) => host.close(resolve));
+    await node.stop();
+  });
+
+  it("rejects start() when the port is taken", async () => {
+    const env = await startBridge();
+    const other = createBridge({ ...TEST_OPTIONS, port: env.bridge.port });
+
+    await assert.rejects(other.start(), { code: "EADDRINUSE" });
+    assert.equal(other.started, false);
+    await env.stop();
+  });
+
+  it("emits a block event for every streamed block", async () => {
+    const env = await startBridge();
+    const blocks = [];
+    env.bridge.on("block", ({ blockNumber }) => blocks.push(blockNumber));
+
+    await env.bridge.periodicUpdate();
+    const head = env.node.produceBlocks(2);
+    await env.bridge.periodicUpdate();
+    // Streaming runs in the background of the update
+    while (env.bridge.isStreamingBlocks) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    assert.deepEqual(blocks, [head - 2, head - 1, head]);
+    await env.stop();
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Logger } = require("../logger");
+const { startBridge, TestClient } = require("./helpers");
+
+// Logger that keeps its lines instead of printing them
+function capture(options = {}) {
+  const lines = [];
+  const logger = new Logger({
+    format: "json",
+    ...options,
+    output: (level, line) => lines.push(line),
+  });
+  return {
+    logger,
+    lines,
+    entries: () => lines.map((line) => JSON.parse(line)),
+  };
+}
+
+describe("logger", () => {
+  it("writes lines at or above the configured level", () => {
+    const { logger, entries } = capture({ level: "warn" });
+    logger.debug("debug");
+    logger.info("info");
+    logger.warn("warn");
+    logger.error("error");
+
+    assert.deepEqual(
+      entries().map(({ level, msg }) => [level, msg]),
+      [
+        ["warn", "warn"],
+        ["error", "error"],
+      ]
+    );
+  });
+
+  it("adds child fields and reduces errors to their message", () => {
+    const { logger, entries } = capture();
+    logger
+      .child({ connectionId: "c1" })
+      .child({ requestId: "r1" })
+      .error("Request failed", { error: new Error("boom") });
+
+    const [entry] = entries();
+    assert.equal(entry.connectionId, "c1");
+    assert.equal(entry.requestId, "r1");
+    assert.equal(entry.error, "boom");
+    assert.ok(Date.parse(entry.time));
+  });
+
+  it("redacts configured fields at any depth", () => {
+    const { logger, entries } = capture({ redact: ["params", "password"] });
+    logger.info("Request received", {
+      method: "get_accounts",
+      params: [["alice"]],
+      nested: { password: "secret", keep: 1 },
+    });
+
+    const [entry] = entries();
+    assert.equal(entry.params, "[REDACTED]");
+    assert.deepEqual(entry.nested, { password: "[REDACTED]", keep: 1 });
+  });
+
+  it("samples events, sharing the count with child loggers", () => {
+    const { logger, entries } = capture({ sampling: { broadcast: 3 } });
+    const child = logger.child({ connectionId: "c1" });
+    for (let i = 0; i < 7; i++) {
+      (i % 2 ? child : logger).info("Broadcast sent", {
+        event: "broadcast",
+        recipients: i,
+      });
+    }
+    logger.info("Other", { event: "other" });
+
+    assert.deepEqual(
+      entries().map((entry) => [entry.recipients, entry.sampled]),
+      [
+        [0, 3],
+        [3, 3],
+        [6, 3],
+        [undefined, undefined],
+      ]
+    );
+  });
+
+  it("formats text lines as key=value pairs", () => {
+    const { logger, lines } = capture({ format: "text" });
+    logger.info("Client connected", { clientIP: "::1", note: "two words" });
+
+    assert.match(
+      lines[0],
+      /^\S+Z INFO Client connected clientIP=::1 note="two words"$/
+    );
+  });
+});
+
+describe("bridge logging", () => {
+  let env;
+  let client;
+  let captured;
+
+  before(async () => {
+    captured = capture({ level: "debug", redact: ["params"] });
+    env = await startBridge({ logger: captured.logger });
+    client = await TestClient.connect(env.bridge);
+  });
+
+  after(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  it("tags request lines with connection and request ids", async () => {
+    await client.call("get_block", [5]);
+
+    const entries = captured.entries();
+    const received = entries.find((entry) => entry.msg === "Request received");
+    const answered = entries.find((entry) => entry.msg === "Request answered");
+    const connected = entries.find((entry) => entry.msg === "Client connected");
+
+    assert.equal(received.method, "get_block");
+    assert.equal(received.params, "[REDACTED]");
+    assert.equal(received.connectionId, connected.connectionId);
+    assert.equal(answered.requestId, received.requestId);
+    assert.equal(answered.connectionId, connected.connectionId);
+  });
+});
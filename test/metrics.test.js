@@ -0,0 +1,205 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { MetricsRegistry } = require("../metrics");
+const { startBridge, TestClient } = require("./helpers");
+
+function scrape(bridge) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(
+        { host: "127.0.0.1", port: bridge.port, path: "/metrics" },
+        (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () =>
+            resolve({
+              contentType: res.headers["content-type"],
+              body: Buffer.concat(chunks).toString("utf8"),
+            })
+          );
+        }
+      )
+      .on("error", reject);
+  });
+}
+
+// Sample lines as a map of 'name{labels}' -> value
+function samples(body) {
+  const values = new Map();
+  body
+    .split("\n")
+    .filter((line) => line && !line.startsWith("#"))
+    .forEach((line) => {
+      const index = line.lastIndexOf(" ");
+      values.set(line.slice(0, index), Number(line.slice(index + 1)));
+    });
+  return values;
+}
+
+describe("metrics registry", () => {
+  it("renders counters, gauges and histograms in the text format", () => {
+    const metrics = new MetricsRegistry();
+    metrics
+      .counter({ name: "jobs_total", help: "Jobs", labelNames: ["kind"] })
+      .inc({ kind: 'say "hi"\n' }, 2);
+    metrics.gauge({
+      name: "queue_size",
+      help: "Queue size",
+      collect: (gauge) => gauge.set({}, 7),
+    });
+    const histogram = metrics.histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      buckets: [0.1, 1],
+    });
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+
+    assert.equal(
+      metrics.render(),
+      [
+        "# HELP jobs_total Jobs",
+        "# TYPE jobs_total counter",
+        'jobs_total{kind="say \\"hi\\"\\n"} 2',
+        "# HELP queue_size Queue size",
+        "# TYPE queue_size gauge",
+        "queue_size 7",
+        "# HELP latency_seconds Latency",
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{le="0.1"} 1',
+        'latency_seconds_bucket{le="1"} 2',
+        'latency_seconds_bucket{le="+Inf"} 2',
+        "latency_seconds_sum 0.55",
+        "latency_seconds_count 2",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("rejects duplicate metrics and missing labels", () => {
+    const metrics = new MetricsRegistry();
+    const counter = metrics.counter({
+      name: "jobs_total",
+      help: "Jobs",
+      labelNames: ["kind"],
+    });
+    assert.throws(() => metrics.counter({ name: "jobs_total", help: "" }), {
+      message: /already registered/,
+    });
+    assert.throws(() => counter.inc({}), { message: /missing label "kind"/ });
+  });
+});
+
+describe("GET /metrics", () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startBridge();
+    client = await TestClient.connect(env.bridge);
+  });
+
+  after(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  it("serves the Prometheus text format", async () => {
+    const { contentType, body } = await scrape(env.bridge);
+    assert.equal(contentType, "text/plain; version=0.0.4; charset=utf-8");
+    assert.match(body, /^# TYPE steem_bridge_requests_total counter$/m);
+    assert.ok(body.endsWith("\n"));
+  });
+
+  it("counts requests by method and outcome", async () => {
+    await client.call("get_block", [12]);
+    await client.call("condenser_api.get_block", [12]);
+    await client.request("no_such_method", []);
+
+    const values = samples((await scrape(env.bridge)).body);
+    assert.equal(
+      values.get(
+        'steem_bridge_requests_total{method="condenser_api.get_block",outcome="success"}'
+      ),
+      2
+    );
+    assert.equal(
+      values.get(
+        'steem_bridge_requests_total{method="unknown",outcome="error"}'
+      ),
+      1
+    );
+    assert.equal(
+      values.get(
+        'steem_bridge_request_duration_seconds_count{method="condenser_api.get_block"}'
+      ),
+      2
+    );
+    assert.equal(
+      values.get(
+        'steem_bridge_cache_requests_total{namespace="blocks",result="miss"}'
+      ),
+      1
+    );
+    assert.equal(
+      values.get(
+        'steem_bridge_cache_requests_total{namespace="blocks",result="hit"}'
+      ),
+      1
+    );
+    assert.ok(
+      values.get(
+        `steem_bridge_upstream_request_duration_seconds_count{node="${env.node.url}",outcome="success"}`
+      ) >= 1
+    );
+  });
+
+  it("reports subscribers and broadcast fan-out per topic", async () => {
+    await env.bridge.periodicUpdate();
+    await client.call("subscribe", ["blocks", {}]);
+    const other = await TestClient.connect(env.bridge);
+    await other.call("subscribe", ["blocks", {}]);
+
+    env.node.produceBlock();
+    await env.bridge.periodicUpdate();
+    await client.next((message) => message.type === "subscription_update");
+    await other.next((message) => message.type === "subscription_update");
+
+    const values = samples((await scrape(env.bridge)).body);
+    await other.close();
+
+    assert.equal(values.get('steem_bridge_subscribers{topic="blocks"}'), 2);
+    assert.equal(values.get("steem_bridge_connected_clients"), 2);
+    assert.equal(
+      values.get('steem_bridge_subscription_messages_total{topic="blocks"}'),
+      2
+    );
+    assert.equal(
+      values.get('steem_bridge_broadcast_recipients_count{topic="blocks"}'),
+      1
+    );
+    assert.equal(
+      values.get('steem_bridge_broadcast_recipients_sum{topic="blocks"}'),
+      2
+    );
+  });
+
+  it("counts rate-limit rejections", async () => {
+    const limited = await startBridge({ rateLimitPerMinute: 1 });
+    const limitedClient = await TestClient.connect(limited.bridge);
+
+    await limitedClient.call("get_config");
+    limitedClient.send({ jsonrpc: "2.0", id: 99, method: "get_config" });
+    const rejection = await limitedClient.next(
+      (message) => message.error && message.error.code === -32002
+    );
+    assert.ok(rejection);
+
+    const values = samples((await scrape(limited.bridge)).body);
+    await limitedClient.close();
+    await limited.stop();
+
+    assert.equal(values.get("steem_bridge_rate_limited_total"), 1);
+  });
+});
@@ -0,0 +1,525 @@
+// Scriptable Steem JSON-RPC node for tests.
+//
+// Serves a deterministic chain over HTTP the way dsteem talks to real nodes
+// ({ method: "call", params: [api, method, params] }). Tests produce blocks
+// (optionally with transactions), fork the chain, add accounts and override
+// any method's response, and inject errors, HTTP failures, latency or a full
+// outage per method. Like real nodes, a mock can run without some API
+// plugins and lists the methods it serves on jsonrpc.get_methods. Every call
+// is recorded so tests can count upstream traffic.
+
+const http = require("http");
+const crypto = require("crypto");
+
+const GENESIS_TIME = Date.parse("2024-01-01T00:00:00Z");
+const BLOCK_INTERVAL_MS = 3000;
+const WITNESSES = Array.from({ length: 21 }, (_, i) => `witness${i + 1}`);
+const ACCOUNT_NAME = /^[a-z][a-z0-9.-]{2,15}$/;
+
+// Methods served by each API plugin (jsonrpc lists them)
+const API_METHODS = {
+  condenser_api: [
+    "get_dynamic_global_properties",
+    "get_active_witnesses",
+    "get_config",
+    "get_block_header",
+    "get_block",
+    "get_ops_in_block",
+    "get_transaction",
+    "get_accounts",
+    "get_reward_fund",
+    "get_current_median_history_price",
+    "get_ticker",
+    "get_order_book",
+    "get_recent_trades",
+  ],
+  database_api: ["find_accounts"],
+  rc_api: ["find_rc_accounts"],
+  market_history_api: ["get_ticker", "get_order_book", "get_recent_trades"],
+  jsonrpc: ["get_methods"],
+};
+
+class MockRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+class MockSteemNode {
+  constructor({
+    headBlock = 100,
+    irreversibleLag = 20,
+    accounts = [],
+    apis = Object.keys(API_METHODS), // Enabled plugins
+  } = {}) {
+    this.irreversibleLag = irreversibleLag;
+    this.apis = apis;
+    this.blocks = new Map(); // block number -> block
+    this.operations = new Map(); // block number -> operation entries
+    this.transactions = new Map(); // transaction id -> { blockNumber, trxNum }
+    this.accounts = new Map();
+    this.forks = 0;
+
+    this.overrides = new Map(); // "api.method" -> (params) => result
+    this.faults = []; // { method, remaining, code, message, status }
+    this.latency = new Map(); // "api.method" or "*" -> ms
+    this.down = false;
+    this.calls = []; // [{ method, params }]
+
+    this.server = null;
+    this.url = null;
+
+    accounts.forEach((account) => this.addAccount(account));
+    for (let blockNumber = 1; blockNumber <= headBlock; blockNumber++) {
+      this.produceBlock();
+    }
+  }
+
+  start(port = 0) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, "127.0.0.1", () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  // Chain scripting
+
+  get headBlock() {
+    return this.blocks.size;
+  }
+
+  get lastIrreversibleBlock() {
+    return Math.max(this.headBlock - this.irreversibleLag, 0);
+  }
+
+  // Append a block. Each transaction is { operations: [[type, data], ...] };
+  // returns the block with its transaction ids filled in.
+  produceBlock({ transactions = [] } = {}) {
+    const blockNumber = this.headBlock + 1;
+    const block = this.buildBlock(blockNumber, transactions);
+    this.blocks.set(blockNumber, block);
+    this.indexBlock(blockNumber, block);
+    return block;
+  }
+
+  produceBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      this.produceBlock();
+    }
+    return this.headBlock;
+  }
+
+  // Replace every block from `fromBlock` to the head with blocks of a new
+  // fork (same heights, new ids and no transactions); returns the orphaned
+  // block numbers
+  fork(fromBlock) {
+    this.forks++;
+    const orphaned = [];
+    for (
+      let blockNumber = fromBlock;
+      blockNumber <= this.headBlock;
+      blockNumber++
+    ) {
+      this.unindexBlock(blockNumber);
+      const block = this.buildBlock(blockNumber, []);
+      this.blocks.set(blockNumber, block);
+      this.indexBlock(blockNumber, block);
+      orphaned.push(blockNumber);
+    }
+    return orphaned;
+  }
+
+  addAccount({ name, balance = "100.000 STEEM", ...fields }) {
+    const account = {
+      id: this.accounts.size + 1,
+      name,
+      balance,
+      sbd_balance: "0.000 SBD",
+      vesting_shares: "1000.000000 VESTS",
+      voting_power: 10000,
+      reputation: "0",
+      json_metadata: "",
+      ...fields,
+    };
+    this.accounts.set(name, account);
+    return account;
+  }
+
+  // Fault and response injection
+
+  // Answer `method` ("api.method", or "*" for every method) with handler(params)
+  respond(method, handler) {
+    this.overrides.set(
+      method,
+      typeof handler === "function" ? handler : () => handler
+    );
+  }
+
+  // Fail the next `times` calls: with an HTTP status when `status` is given,
+  // otherwise with a JSON-RPC error
+  fail(
+    method,
+    { times = 1, status, code = -32000, message = "Injected failure" } = {}
+  ) {
+    this.faults.push({ method, remaining: times, status, code, message });
+  }
+
+  setLatency(ms, method = "*") {
+    this.latency.set(method, ms);
+  }
+
+  // While down, connections are dropped without a response
+  setDown(down = true) {
+    this.down = down;
+  }
+
+  callCount(method) {
+    return this.calls.filter((call) => !method || call.method === method)
+      .length;
+  }
+
+  resetCalls() {
+    this.calls = [];
+  }
+
+  // Request handling
+
+  handleRequest(req, res) {
+    if (this.down) {
+      req.socket.destroy();
+      return;
+    }
+
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", async () => {
+      let request;
+      try {
+        request = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (error) {
+        this.reply(res, 200, {
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: -32700, message: "Parse error" },
+        });
+        return;
+      }
+
+      const { method, params } = this.parseCall(request);
+      this.calls.push({ method, params });
+
+      const delay = this.latency.get(method) ?? this.latency.get("*") ?? 0;
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      if (this.down) {
+        req.socket.destroy();
+        return;
+      }
+
+      const fault = this.takeFault(method);
+      if (fault && fault.status) {
+        res.writeHead(fault.status);
+        res.end();
+        return;
+      }
+
+      try {
+        if (fault) {
+          throw new MockRpcError(fault.code, fault.message);
+        }
+        const result = this.execute(method, params);
+        this.reply(res, 200, { jsonrpc: "2.0", id: request.id, result });
+      } catch (error) {
+        this.reply(res, 200, {
+          jsonrpc: "2.0",
+          id: request.id,
+          error: {
+            code: error.code || -32000,
+            message: error.message,
+          },
+        });
+      }
+    });
+  }
+
+  // dsteem sends method "call" with [api, method, params]; also accept the
+  // "api.method" form
+  parseCall(request) {
+    if (request.method === "call" && Array.isArray(request.params)) {
+      const [api, method, params = []] = request.params;
+      return { method: `${api}.${method}`, params };
+    }
+    return { method: request.method, params: request.params ?? [] };
+  }
+
+  takeFault(method) {
+    const fault = this.faults.find(
+      (candidate) =>
+        candidate.remaining > 0 &&
+        (candidate.method === method || candidate.method === "*")
+    );
+    if (!fault) return null;
+    fault.remaining--;
+    this.faults = this.faults.filter((candidate) => candidate.remaining > 0);
+    return fault;
+  }
+
+  reply(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  execute(method, params) {
+    const api = method.slice(0, method.indexOf("."));
+    if (!this.apis.includes(api)) {
+      throw new MockRpcError(-32601, `Could not find API ${api}`);
+    }
+    if (method === "jsonrpc.get_methods") {
+      return this.methodNames();
+    }
+
+    const override = this.overrides.get(method) || this.overrides.get("*");
+    if (override) {
+      return override(params, method);
+    }
+
+    const bareMethod = method.slice(method.indexOf(".") + 1);
+    switch (bareMethod) {
+      case "get_dynamic_global_properties":
+        return this.dynamicGlobalProperties();
+      case "get_active_witnesses":
+        return WITNESSES;
+      case "get_config":
+        return { STEEM_BLOCK_INTERVAL: 3, STEEM_CHAIN_ID: "0".repeat(64) };
+      case "get_block_header": {
+        const block = this.blocks.get(params[0]);
+        if (!block) return null;
+        const { previous, timestamp, witness, transaction_merkle_root } = block;
+        return {
+          previous,
+          timestamp,
+          witness,
+          transaction_merkle_root,
+          extensions: [],
+        };
+      }
+      case "get_block":
+        return this.blocks.get(params[0]) || null;
+      case "get_ops_in_block": {
+        const operations = this.operations.get(params[0]);
+        if (!operations) return null;
+        return params[1]
+          ? operations.filter((operation) => operation.virtual_op > 0)
+          : operations;
+      }
+      case "get_transaction":
+        return this.getTransaction(params[0]);
+      case "get_accounts":
+        return this.lookUpAccounts(params[0]);
+      case "find_accounts":
+        return { accounts: this.lookUpAccounts(params.accounts) };
+      case "find_rc_accounts":
+        return {
+          rc_accounts: this.lookUpAccounts(params.accounts).map((account) => ({
+            account: account.name,
+            rc_manabar: { current_mana: "1000000", last_update_time: 0 },
+            max_rc: "1000000",
+          })),
+        };
+      case "get_reward_fund":
+        return {
+          name: params[0],
+          reward_balance: "800000.000 STEEM",
+          recent_claims: "1000000000000",
+        };
+      case "get_current_median_history_price":
+        return { base: "0.250 SBD", quote: "1.000 STEEM" };
+      case "get_ticker":
+        return {
+          latest: "0.25000000",
+          lowest_ask: "0.25100000",
+          highest_bid: "0.24900000",
+          percent_change: "1.000",
+          steem_volume: "10000.000 STEEM",
+          sbd_volume: "2500.000 SBD",
+        };
+      case "get_order_book":
+        return {
+          bids: [{ order_price: { base: "1.000 SBD", quote: "4.000 STEEM" } }],
+          asks: [{ order_price: { base: "4.100 STEEM", quote: "1.000 SBD" } }],
+        };
+      case "get_recent_trades":
+        return [
+          {
+            date: this.blockTime(this.headBlock),
+            current_pays: "1.000 SBD",
+            open_pays: "4.000 STEEM",
+          },
+        ];
+      default:
+        throw new MockRpcError(-32601, `Could not find method ${method}`);
+    }
+  }
+
+  methodNames() {
+    const names = this.apis.flatMap((api) =>
+      (API_METHODS[api] || []).map((name) => `${api}.${name}`)
+    );
+    const overridden = Array.from(this.overrides.keys()).filter(
+      (name) => name !== "*" && this.apis.includes(name.split(".")[0])
+    );
+    return Array.from(new Set([...names, ...overridden])).sort();
+  }
+
+  dynamicGlobalProperties() {
+    const head = this.blocks.get(this.headBlock);
+    return {
+      head_block_number: this.headBlock,
+      head_block_id: head ? head.block_id : "0".repeat(40),
+      time: this.blockTime(this.headBlock),
+      current_witness: head ? head.witness : WITNESSES[0],
+      last_irreversible_block_num: this.lastIrreversibleBlock,
+      total_vesting_fund_steem: "150000000.000 STEEM",
+      total_vesting_shares: "300000000000.000000 VESTS",
+      current_supply: "400000000.000 STEEM",
+    };
+  }
+
+  getTransaction(transactionId) {
+    const location = this.transactions.get(transactionId);
+    if (!location) {
+      throw new MockRpcError(
+        -32000,
+        `Assert Exception:false: Unknown Transaction ${transactionId}`
+      );
+    }
+    return this.blocks.get(location.blockNumber).transactions[location.trxNum];
+  }
+
+  // Existing accounts in request order; invalid names are rejected like a
+  // real node does, failing the whole call
+  lookUpAccounts(names) {
+    const invalid = (names || []).find((name) => !ACCOUNT_NAME.test(name));
+    if (invalid !== undefined) {
+      throw new MockRpcError(
+        -32000,
+        `Assert Exception:is_valid_account_name( name ): Invalid account name ${invalid}`
+      );
+    }
+    return names
+      .map((name) => this.accounts.get(name))
+      .filter((account) => account);
+  }
+
+  // Chain construction
+
+  buildBlock(blockNumber, transactions) {
+    const previous = this.blocks.get(blockNumber - 1);
+    const timestamp = this.blockTime(blockNumber);
+    const blockId = this.blockId(blockNumber);
+    const built = transactions.map((transaction, trxNum) => ({
+      ref_block_num: (blockNumber - 1) & 0xffff,
+      ref_block_prefix: 0,
+      expiration: this.blockTime(blockNumber + 20),
+      operations: transaction.operations || [],
+      extensions: [],
+      signatures: [],
+      transaction_id:
+        transaction.transaction_id ||
+        this.hash(`${blockId}:${trxNum}`).slice(0, 40),
+      block_num: blockNumber,
+      transaction_num: trxNum,
+    }));
+
+    return {
+      previous: previous ? previous.block_id : "0".repeat(40),
+      timestamp,
+      witness: WITNESSES[blockNumber % WITNESSES.length],
+      transaction_merkle_root: "0".repeat(40),
+      extensions: [],
+      witness_signature: "",
+      transactions: built,
+      block_id: blockId,
+      signing_key: "",
+      transaction_ids: built.map((transaction) => transaction.transaction_id),
+    };
+  }
+
+  // Block ids start with the block number, like Steem's
+  blockId(blockNumber) {
+    return (
+      blockNumber.toString(16).padStart(8, "0") +
+      this.hash(`${blockNumber}:${this.forks}`).slice(0, 32)
+    );
+  }
+
+  blockTime(blockNumber) {
+    return new Date(GENESIS_TIME + blockNumber * BLOCK_INTERVAL_MS)
+      .toISOString()
+      .slice(0, 19);
+  }
+
+  indexBlock(blockNumber, block) {
+    const operations = [];
+    block.transactions.forEach((transaction, trxNum) => {
+      this.transactions.set(transaction.transaction_id, {
+        blockNumber,
+        trxNum,
+      });
+      transaction.operations.forEach((op, opInTrx) =>
+        operations.push({
+          trx_id: transaction.transaction_id,
+          block: blockNumber,
+          trx_in_block: trxNum,
+          op_in_trx: opInTrx,
+          virtual_op: 0,
+          timestamp: block.timestamp,
+          op,
+        })
+      );
+    });
+    operations.push({
+      trx_id: "0".repeat(40),
+      block: blockNumber,
+      trx_in_block: 4294967295,
+      op_in_trx: 0,
+      virtual_op: 1,
+      timestamp: block.timestamp,
+      op: [
+        "producer_reward",
+        { producer: block.witness, vesting_shares: "1.000000 VESTS" },
+      ],
+    });
+    this.operations.set(blockNumber, operations);
+  }
+
+  unindexBlock(blockNumber) {
+    const block = this.blocks.get(blockNumber);
+    block.transactions.forEach((transaction) =>
+      this.transactions.delete(transaction.transaction_id)
+    );
+    this.operations.delete(blockNumber);
+  }
+
+  hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+}
+
+module.exports = { MockSteemNode };
@@ -0,0 +1,147 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { NodeCapabilities } = require("../node-capabilities");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+// A node without the market_history_api plugin
+const withoutMarket = ({ getMethods = true } = {}) =>
+  new MockSteemNode({
+    apis: ["condenser_api", "database_api", "rc_api"].concat(
+      getMethods ? ["jsonrpc"] : []
+    ),
+  });
+
+const rpcError = (message) =>
+  Object.assign(new Error(message), { name: "RPCError" });
+
+describe("node capabilities", () => {
+  it("knows listed methods and learns missing ones from answers", () => {
+    const capabilities = new NodeCapabilities();
+    assert.equal(capabilities.supports("market_history_api.get_ticker"), true);
+
+    capabilities.refresh([
+      "condenser_api.get_block",
+      "market_history_api.get_ticker",
+    ]);
+    assert.equal(capabilities.supports("condenser_api.get_block"), true);
+    assert.equal(capabilities.supports("rc_api.find_rc_accounts"), false);
+
+    assert.equal(
+      capabilities.recordNotFound(
+        "market_history_api.get_ticker",
+        rpcError("Could not find API market_history_api")
+      ),
+      true
+    );
+    assert.equal(
+      capabilities.recordNotFound(
+        "condenser_api.get_block",
+        rpcError("Bad block number")
+      ),
+      false
+    );
+    assert.equal(capabilities.supports("market_history_api.get_ticker"), false);
+    assert.deepEqual(
+      {
+        apis: capabilities.describe().apis,
+        missing: capabilities.describe().missing,
+      },
+      { apis: ["condenser_api"], missing: ["market_history_api"] }
+    );
+
+    capabilities.refresh(null);
+    assert.equal(capabilities.supports("market_history_api.get_ticker"), true);
+  });
+});
+
+describe("per-method node routing", () => {
+  let env;
+  let client;
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  const start = async (nodes) => {
+    env = await startBridge({ nodes });
+    client = await TestClient.connect(env.bridge);
+  };
+
+  it("sends calls only to nodes that list the method", async () => {
+    await start([withoutMarket(), new MockSteemNode()]);
+    const [primary, backup] = env.nodes;
+    const switches = [];
+    env.bridge.on("nodeSwitch", (event) => switches.push(event));
+    await env.bridge.checkNodeHealth();
+
+    const ticker = await client.call("get_ticker");
+    await client.call("get_block", [10]);
+
+    assert.equal(ticker.latest, "0.25000000");
+    assert.equal(primary.callCount("market_history_api.get_ticker"), 0);
+    assert.equal(backup.callCount("market_history_api.get_ticker"), 1);
+    assert.equal(primary.callCount("condenser_api.get_block"), 1);
+    assert.deepEqual(switches, []);
+    assert.deepEqual(env.bridge.listNodes()[0].capabilities.apis, [
+      "condenser_api",
+      "database_api",
+      "jsonrpc",
+      "rc_api",
+    ]);
+  });
+
+  it("passes a call on from a node without the method", async () => {
+    await start([withoutMarket({ getMethods: false }), new MockSteemNode()]);
+    const [primary, backup] = env.nodes;
+
+    await client.call("get_ticker");
+    await client.call("get_order_book");
+
+    // The first answer taught the bridge the node lacks the whole API
+    assert.equal(primary.callCount("market_history_api.get_ticker"), 1);
+    assert.equal(primary.callCount("market_history_api.get_order_book"), 0);
+    assert.equal(backup.callCount("market_history_api.get_order_book"), 1);
+    const { steemNetwork } = env.bridge.getStats();
+    assert.equal(steemNetwork.nodeIndex, 0);
+    assert.equal(steemNetwork.nodes[0].breaker.consecutiveFailures, 0);
+    assert.deepEqual(steemNetwork.nodes[0].capabilities.missing, [
+      "market_history_api",
+    ]);
+  });
+
+  it("does not count nodes without the method against the retries", async () => {
+    await start([
+      withoutMarket({ getMethods: false }),
+      withoutMarket({ getMethods: false }),
+      withoutMarket({ getMethods: false }),
+      new MockSteemNode(),
+    ]);
+
+    const ticker = await client.call("get_ticker");
+
+    assert.equal(ticker.latest, "0.25000000");
+    env.nodes.forEach((node) =>
+      assert.equal(node.callCount("market_history_api.get_ticker"), 1)
+    );
+  });
+
+  it("answers methods no node serves with a clear error", async () => {
+    await start([withoutMarket(), withoutMarket({ getMethods: false })]);
+    await env.bridge.checkNodeHealth();
+
+    const first = await client.request("get_ticker");
+    const second = await client.request("get_ticker");
+
+    assert.equal(first.error.code, -32601);
+    assert.equal(
+      first.error.message,
+      "market_history_api.get_ticker is not supported by any upstream node"
+    );
+    assert.deepEqual(second.error, first.error);
+    // Only the node that could not list its methods was asked
+    assert.equal(env.nodes[0].callCount("market_history_api.get_ticker"), 0);
+    assert.equal(env.nodes[1].callCount("market_history_api.get_ticker"), 1);
+  });
+});
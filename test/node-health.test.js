@@ -0,0 +1,154 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { NodeHealth } = require("../node-health");
+const { startBridge } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+describe("node health", () => {
+  it("computes latency percentiles, error rate and score", () => {
+    const health = new NodeHealth("http://node.example/", { sampleSize: 10 });
+    assert.equal(health.score(), null);
+
+    for (let ms = 10; ms <= 80; ms += 10) {
+      health.recordSuccess(ms);
+    }
+    health.recordFailure(new Error("timeout"), 300);
+    health.recordFailure(new Error("timeout"), 300);
+
+    assert.equal(health.latencyPercentile(50), 40);
+    assert.equal(health.latencyPercentile(95), 80);
+    assert.equal(health.errorRate(), 0.2);
+    assert.equal(health.score(), 100);
+
+    // Old samples roll out of the window
+    health.recordSuccess(20);
+    health.recordSuccess(20);
+    assert.equal(health.errorRate(), 0.2);
+    assert.equal(health.latencyPercentile(50), 40);
+    assert.equal(health.samples.length, 10);
+  });
+
+  it("tracks unreachable, lagging and broken nodes", () => {
+    const health = new NodeHealth("http://node.example/");
+
+    health.recordProbeFailure(new Error("ECONNREFUSED"), 5);
+    assert.equal(health.problem, "unreachable");
+
+    health.recordProbe(100, 5);
+    health.updateLag(130, 20);
+    assert.equal(health.problem, "lagging");
+    // Answering calls does not make a lagging node healthy
+    health.recordSuccess(5);
+    assert.equal(health.problem, "lagging");
+
+    health.recordProbe(125, 5);
+    health.updateLag(130, 20);
+    assert.equal(health.healthy, true);
+    assert.equal(health.headLag, 5);
+
+    // Faults in a row open the breaker
+    for (let i = 0; i < 3; i++) {
+      health.recordFailure(new Error("timeout"), 300);
+    }
+    assert.equal(health.breaker.state, "open");
+    assert.equal(health.healthy, false);
+  });
+});
+
+describe("node health probing", () => {
+  let env;
+
+  afterEach(async () => {
+    await env.stop();
+  });
+
+  it("probes every node and reports the scoreboard in /status", async () => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode(), new MockSteemNode()],
+    });
+    env.nodes.forEach((node) => node.resetCalls());
+
+    await env.bridge.checkNodeHealth();
+
+    env.nodes.forEach((node) => {
+      assert.equal(
+        node.callCount("condenser_api.get_dynamic_global_properties"),
+        1
+      );
+      assert.equal(node.callCount("jsonrpc.get_methods"), 1);
+    });
+    const { steemNetwork } = env.bridge.getStats();
+    assert.equal(steemNetwork.networkHead, 100);
+    assert.equal(steemNetwork.healthyNodes, 3);
+    assert.deepEqual(
+      steemNetwork.nodes.map(({ url, headBlock, headLag, samples }) => ({
+        url,
+        headBlock,
+        headLag,
+        samples,
+      })),
+      env.nodes.map(({ url }) => ({
+        url,
+        headBlock: 100,
+        headLag: 0,
+        samples: 1,
+      }))
+    );
+    assert.ok(steemNetwork.nodes.every((node) => node.latencyMs.p95 !== null));
+  });
+
+  it("leaves a node lagging behind the network head", async () => {
+    const [lagging, current] = [
+      new MockSteemNode({ headBlock: 100 }),
+      new MockSteemNode({ headBlock: 150 }),
+    ];
+    env = await startBridge({ nodes: [lagging, current] });
+    const switches = [];
+    env.bridge.on("nodeSwitch", (event) => switches.push(event));
+
+    await env.bridge.checkNodeHealth();
+
+    const [laggingNode] = env.bridge.listNodes();
+    assert.equal(laggingNode.problem, "lagging");
+    assert.equal(laggingNode.headLag, 50);
+    assert.deepEqual(switches, [
+      { from: lagging.url, to: current.url, reason: "unhealthy" },
+    ]);
+
+    // Back in rotation once it catches up
+    lagging.produceBlocks(45);
+    await env.bridge.checkNodeHealth();
+    assert.equal(env.bridge.listNodes()[0].healthy, true);
+  });
+
+  it("moves to a much faster node", async () => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+      upstreamTimeoutMs: 1000,
+    });
+    const [slow, fast] = env.nodes;
+    slow.setLatency(250);
+    const switches = [];
+    env.bridge.on("nodeSwitch", (event) => switches.push(event));
+
+    await env.bridge.checkNodeHealth();
+
+    assert.deepEqual(switches, [
+      { from: slow.url, to: fast.url, reason: "score" },
+    ]);
+  });
+
+  it("stays on a pinned node whatever its score", async () => {
+    env = await startBridge({
+      nodes: [new MockSteemNode(), new MockSteemNode()],
+    });
+    const [pinned] = env.nodes;
+    env.bridge.pinNode(pinned.url);
+    pinned.setDown();
+
+    await env.bridge.checkNodeHealth();
+
+    assert.equal(env.bridge.listNodes()[0].problem, "unreachable");
+    assert.equal(env.bridge.getStats().steemNetwork.currentNode, pinned.url);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { RequestQueue } = require("../request-queue");
+const { startBridge, TestClient } = require("./helpers");
+
+function postRpc(bridge, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: bridge.port,
+        path: "/rpc",
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")))
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+// A queue that records the order its items run in; done() resolves once
+// `count` items have run
+const recordingQueue = (count, options) => {
+  const order = [];
+  let finish;
+  const done = new Promise((resolve) => (finish = resolve));
+  const queue = new RequestQueue({
+    ...options,
+    handler: async (client, item) => {
+      order.push(item);
+      await new Promise((resolve) => setImmediate(resolve));
+      if (order.length === count) finish(order);
+    },
+  });
+  return { queue, done };
+};
+
+describe("request queue", () => {
+  it("serves waiting clients round-robin", async () => {
+    const { queue, done } = recordingQueue(5, { concurrency: 1 });
+
+    ["a1", "a2", "a3"].forEach((item) => queue.push("a", item));
+    ["b1", "b2"].forEach((item) => queue.push("b", item));
+
+    assert.deepEqual(await done, ["a1", "a2", "b1", "a3", "b2"]);
+  });
+
+  it("runs fast lane items while the normal lane is busy", async () => {
+    const { queue, done } = recordingQueue(4, { concurrency: 1 });
+
+    ["slow1", "slow2", "slow3"].forEach((item) => queue.push("a", item));
+    queue.push("b", "cached", "fast");
+
+    assert.deepEqual(await done, ["slow1", "cached", "slow2", "slow3"]);
+    assert.equal(queue.getStats().processed, 4);
+  });
+});
+
+describe("request scheduling", () => {
+  let env;
+  let busy;
+  let other;
+
+  before(async () => {
+    env = await startBridge({ concurrency: 1 });
+    await env.bridge.periodicUpdate();
+    busy = await TestClient.connect(env.bridge);
+    other = await TestClient.connect(env.bridge);
+  });
+
+  after(async () => {
+    await busy.close();
+    await other.close();
+    await env.stop();
+  });
+
+  it("queues batch entries one by one so other clients get a turn", async () => {
+    env.node.setLatency(100, "condenser_api.get_block");
+    const answered = [];
+
+    busy.send(
+      [11, 12, 13, 14].map((blockNumber) => ({
+        jsonrpc: "2.0",
+        id: blockNumber,
+        method: "get_block",
+        params: [blockNumber],
+      }))
+    );
+    const batch = busy.next(Array.isArray).then(() => answered.push("batch"));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const single = other
+      .call("get_block", [30])
+      .then(() => answered.push("other client"));
+
+    await Promise.all([batch, single]);
+    env.node.setLatency(0, "condenser_api.get_block");
+
+    assert.deepEqual(answered, ["other client", "batch"]);
+    const blocks = env.node.calls
+      .filter((call) => call.method === "condenser_api.get_block")
+      .map((call) => call.params[0]);
+    assert.ok(blocks.indexOf(30) <= 2, `served late: ${blocks}`);
+  });
+
+  it("answers cached and subscription calls behind slow upstream calls", async () => {
+    await other.call("get_block", [41]);
+    env.node.setLatency(300, "condenser_api.get_block");
+    const answered = [];
+
+    const slow = busy
+      .call("get_block", [40])
+      .then(() => answered.push("get_block"));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await other.call("get_block", [41]);
+    answered.push("cached get_block");
+    const { subscription_id: id } = await other.call("subscribe_blocks");
+    answered.push("subscribe_blocks");
+    await other.call("unsubscribe", [id]);
+    await slow;
+    env.node.setLatency(0, "condenser_api.get_block");
+
+    assert.deepEqual(answered, [
+      "cached get_block",
+      "subscribe_blocks",
+      "get_block",
+    ]);
+  });
+
+  it("queues every entry of an HTTP batch", async () => {
+    const { processed } = env.bridge.requestQueue.getStats();
+
+    const response = await postRpc(
+      env.bridge,
+      [50, 51, 52].map((blockNumber) => ({
+        jsonrpc: "2.0",
+        id: blockNumber,
+        method: "get_block_header",
+        params: [blockNumber],
+      }))
+    );
+
+    assert.deepEqual(
+      response.map((entry) => entry.id),
+      [50, 51, 52]
+    );
+    assert.equal(env.bridge.requestQueue.getStats().processed - processed, 3);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startBridge, TestClient } = require("./helpers");
+
+function postRpc(bridge, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: bridge.port,
+        path: "/rpc",
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+describe("JSON-RPC requests", () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startBridge({ rateLimitPerMinute: 500 });
+    client = await TestClient.connect(env.bridge);
+  });
+
+  after(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  it("greets new connections with the methods, topics and rate limit", () => {
+    assert.equal(client.welcome.status, "connected");
+    assert.ok(client.welcome.availableApis.includes("condenser_api.get_block"));
+    assert.ok(client.welcome.subscriptionTopics.includes("blocks"));
+    assert.equal(client.welcome.rateLimits.requestsPerMinute, 500);
+  });
+
+  it("returns global properties from the node", async () => {
+    const result = await client.call("get_dynamic_global_properties");
+    assert.equal(result.head_block_number, env.node.headBlock);
+    assert.equal(
+      result.last_irreversible_block_num,
+      env.node.lastIrreversibleBlock
+    );
+  });
+
+  it("proxies blocks and operations", async () => {
+    const block = await client.call("get_block", [50]);
+    assert.equal(block.block_id, env.node.blocks.get(50).block_id);
+
+    const operations = await client.call("condenser_api.get_ops_in_block", [
+      50,
+      true,
+    ]);
+    assert.deepEqual(
+      operations.map((operation) => operation.op[0]),
+      ["producer_reward"]
+    );
+  });
+
+  it("answers batches entry by entry", async () => {
+    client.send([
+      {
+        jsonrpc: "2.0",
+        id: "batch-1",
+        method: "get_block_header",
+        params: [10],
+      },
+      { jsonrpc: "2.0", id: "batch-2", method: "no_such_method", params: [] },
+    ]);
+    const responses = await client.next((message) => Array.isArray(message));
+
+    assert.equal(responses.length, 2);
+    assert.equal(responses[0].result.previous, env.node.blocks.get(9).block_id);
+    assert.equal(responses[1].id, "batch-2");
+    assert.equal(responses[1].error.code, -32601);
+  });
+
+  it("rejects invalid params before calling the node", async () => {
+    env.node.resetCalls();
+    const response = await client.request("get_block", []);
+    assert.equal(response.error.code, -32602);
+    assert.equal(env.node.callCount(), 0);
+  });
+
+  it("passes node errors through without retrying", async () => {
+    env.node.resetCalls();
+    const response = await client.request("get_transaction", ["ab".repeat(20)]);
+    assert.equal(response.error.code, -32000);
+    assert.match(response.error.message, /Unknown Transaction/);
+    assert.equal(env.node.callCount("condenser_api.get_transaction"), 1);
+  });
+
+  it("keeps the legacy envelope for non JSON-RPC clients", async () => {
+    client.send({ id: 7, method: "get_block_header", params: [20] });
+    const response = await client.next((message) => message.id === 7);
+    assert.equal(response.type, "response");
+    assert.equal(response.result.previous, env.node.blocks.get(19).block_id);
+  });
+
+  it("serves JSON-RPC over HTTP POST", async () => {
+    const { status, body } = await postRpc(env.bridge, {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "get_block",
+      params: [30],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.result.block_id, env.node.blocks.get(30).block_id);
+  });
+});
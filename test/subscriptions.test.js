@@ -0,0 +1,476 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startBridge, TestClient } = require("./helpers");
+
+describe("subscriptions", () => {
+  let env;
+  let client;
+
+  before(async () => {
+    env = await startBridge();
+    // Start both block streams at the current head and LIB
+    await env.bridge.periodicUpdate();
+  });
+
+  after(async () => {
+    await env.stop();
+  });
+
+  beforeEach(async () => {
+    client = await TestClient.connect(env.bridge);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it("streams every new block in order with a sequence", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "blocks",
+      {},
+    ]);
+
+    const head = env.node.produceBlocks(3);
+    await env.bridge.periodicUpdate();
+
+    const updates = [];
+    for (let i = 0; i < 3; i++) {
+      updates.push(await client.update(id));
+    }
+    assert.deepEqual(
+      updates.map((update) => update.data.blockNumber),
+      [head - 2, head - 1, head]
+    );
+    updates.forEach((update) =>
+      assert.equal(
+        update.data.block.block_id,
+        env.node.blocks.get(update.data.blockNumber).block_id
+      )
+    );
+    assert.deepEqual(
+      updates.map((update) => update.sequence - updates[0].sequence),
+      [0, 1, 2]
+    );
+  });
+
+  it("matches accounts named by account recovery operations", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { filter: { accounts: ["carol"] } },
+    ]);
+
+    const block = env.node.produceBlock({
+      transactions: [
+        {
+          operations: [
+            [
+              "change_recovery_account",
+              { account_to_recover: "alice", new_recovery_account: "carol" },
+            ],
+            ["transfer", { from: "alice", to: "bob", amount: "1.000 STEEM" }],
+          ],
+        },
+      ],
+    });
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.deepEqual(
+      update.data.operations.map((operation) => operation.op),
+      [block.transactions[0].operations[0]]
+    );
+  });
+
+  it("pushes global properties when the head changes", async () => {
+    const { subscription_id: id } = await client.call(
+      "subscribe_global_properties"
+    );
+    // Sent straight away from cache
+    await client.update(id);
+
+    env.node.produceBlock();
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.equal(update.data.head_block_number, env.node.headBlock);
+  });
+
+  it("delivers only operations matching a filter", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { filter: { op_types: ["transfer"], accounts: ["bob"] } },
+    ]);
+
+    const block = env.node.produceBlock({
+      transactions: [
+        {
+          operations: [
+            ["transfer", { from: "alice", to: "bob", amount: "1.000 STEEM" }],
+            ["transfer", { from: "alice", to: "carol", amount: "2.000 STEEM" }],
+            ["vote", { voter: "bob", author: "alice", permlink: "p" }],
+          ],
+        },
+      ],
+    });
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.equal(update.data.blockNumber, env.node.headBlock);
+    assert.deepEqual(
+      update.data.operations.map((operation) => operation.op),
+      [block.transactions[0].operations[0]]
+    );
+  });
+
+  it("reports forks and re-streams the replacement blocks", async () => {
+    const { subscription_id: id } = await client.call("subscribe_blocks");
+    const forkEvents = [];
+    env.bridge.once("fork", (data) => forkEvents.push(data));
+
+    const head = env.node.produceBlocks(3);
+    await env.bridge.periodicUpdate();
+    for (let i = 0; i < 3; i++) {
+      await client.update(id);
+    }
+
+    const orphaned = env.node.fork(head - 1);
+    env.node.produceBlock();
+    await env.bridge.periodicUpdate();
+
+    const fork = await client.update(id, "fork");
+    assert.deepEqual(fork.data, {
+      orphaned_blocks: orphaned,
+      common_ancestor: head - 2,
+      resume_block: head - 1,
+    });
+    assert.deepEqual(forkEvents, [fork.data]);
+
+    for (const blockNumber of [head - 1, head, head + 1]) {
+      const update = await client.update(id);
+      assert.equal(update.data.blockNumber, blockNumber);
+      assert.equal(
+        update.data.block.block_id,
+        env.node.blocks.get(blockNumber).block_id
+      );
+    }
+  });
+
+  it("streams irreversible blocks as the LIB advances", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "irreversible_blocks",
+      {},
+    ]);
+
+    const lib = env.node.lastIrreversibleBlock;
+    env.node.produceBlocks(2);
+    await env.bridge.periodicUpdate();
+
+    for (const blockNumber of [lib + 1, lib + 2]) {
+      const update = await client.update(id);
+      assert.equal(update.irreversible, true);
+      assert.equal(update.data.blockNumber, blockNumber);
+    }
+  });
+
+  it("does not deliver an orphaned block cached by a client as irreversible", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "irreversible_blocks",
+      {},
+    ]);
+    const blockNumber = env.node.lastIrreversibleBlock + 1;
+    await client.call("get_block", [blockNumber]);
+
+    env.node.fork(blockNumber);
+    env.node.produceBlock();
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.equal(update.data.blockNumber, blockNumber);
+    assert.equal(
+      update.data.block.block_id,
+      env.node.blocks.get(blockNumber).block_id
+    );
+  });
+
+  it("tracks a transaction until it is irreversible", async () => {
+    const txid = "cd".repeat(20);
+    const { subscription_id: id } = await client.call("subscribe_transaction", [
+      txid,
+    ]);
+
+    env.node.produceBlock({
+      transactions: [
+        {
+          transaction_id: txid,
+          operations: [["vote", { voter: "alice", author: "bob" }]],
+        },
+      ],
+    });
+    const includedIn = env.node.headBlock;
+    await env.bridge.periodicUpdate();
+
+    const included = await client.update(id, "included");
+    assert.deepEqual(included.data, {
+      txid,
+      block_num: includedIn,
+      trx_num: 0,
+    });
+
+    env.node.produceBlocks(env.node.irreversibleLag);
+    await env.bridge.periodicUpdate();
+
+    const irreversible = await client.update(id, "irreversible");
+    assert.equal(irreversible.data.block_num, includedIn);
+    assert.equal(env.bridge.subscribers.transactions.size, 0);
+  });
+
+  it("removes the subscription on unsubscribe", async () => {
+    const { subscription_id: id } = await client.call("subscribe", [
+      "block_headers",
+      {},
+    ]);
+    const subscribed = env.bridge.getStats().subscribers.blockHeaders;
+
+    const result = await client.call("unsubscribe", [id]);
+    assert.equal(result.unsubscribed, true);
+    assert.equal(
+      env.bridge.getStats().subscribers.blockHeaders,
+      subscribed - 1
+    );
+  });
+});
+
+describe("streaming from a lagging node", () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startBridge();
+    await env.bridge.periodicUpdate();
+    client = await TestClient.connect(env.bridge);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  it("does not keep empty operations for a block not produced yet", async () => {
+    // Like real nodes, answer [] for the operations of unknown blocks
+    env.node.respond(
+      "condenser_api.get_ops_in_block",
+      ([blockNumber]) => env.node.operations.get(blockNumber) || []
+    );
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { filter: { op_types: ["transfer"] } },
+    ]);
+    const next = env.node.headBlock + 1;
+
+    await assert.rejects(
+      env.bridge.processNewBlockForSubscriptions(next),
+      /not available yet/
+    );
+    const block = env.node.produceBlock({
+      transactions: [
+        {
+          operations: [
+            ["transfer", { from: "alice", to: "bob", amount: "1.000 STEEM" }],
+          ],
+        },
+      ],
+    });
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.equal(update.data.blockNumber, next);
+    assert.deepEqual(
+      update.data.operations.map((operation) => operation.op),
+      block.transactions[0].operations
+    );
+  });
+
+  it("does not cache a client's answer for a block not produced yet", async () => {
+    env.node.respond(
+      "condenser_api.get_ops_in_block",
+      ([blockNumber]) => env.node.operations.get(blockNumber) || []
+    );
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { filter: { op_types: ["transfer"] } },
+    ]);
+    const next = env.node.headBlock + 1;
+
+    assert.deepEqual(await client.call("get_ops_in_block", [next, false]), []);
+    const block = env.node.produceBlock({
+      transactions: [
+        {
+          operations: [
+            ["transfer", { from: "alice", to: "bob", amount: "2.000 STEEM" }],
+          ],
+        },
+      ],
+    });
+    await env.bridge.periodicUpdate();
+
+    const update = await client.update(id);
+    assert.equal(update.data.blockNumber, next);
+    assert.deepEqual(
+      update.data.operations.map((operation) => operation.op),
+      block.transactions[0].operations
+    );
+  });
+});
+
+describe("from_block replay", () => {
+  let env;
+  let client;
+
+  beforeEach(async () => {
+    env = await startBridge({ maxBackfillBlocks: 10 });
+    await env.bridge.periodicUpdate();
+    client = await TestClient.connect(env.bridge);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  // periodicUpdate() streams blocks in the background; wait for that run
+  const streamBlocks = async () => {
+    await env.bridge.periodicUpdate();
+    while (env.bridge.isStreamingBlocks) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  it("replays history and joins the live stream without gaps", async () => {
+    const fromBlock = env.node.headBlock - 2;
+    // Slow enough that new blocks stream while the replay runs
+    env.node.setLatency(20, "condenser_api.get_block");
+    const result = await client.call("subscribe", [
+      "blocks",
+      { from_block: fromBlock },
+    ]);
+    assert.equal(result.from_block, fromBlock);
+
+    const head = env.node.produceBlocks(2);
+    await streamBlocks();
+    env.node.produceBlock();
+    await streamBlocks();
+
+    const messages = [];
+    for (let blockNumber = fromBlock; blockNumber <= head + 2; blockNumber++) {
+      messages.push(
+        await client.next(
+          (message) =>
+            message.subscription_id === result.subscription_id &&
+            message.type === "subscription_update"
+        )
+      );
+    }
+    const completeAt = messages.findIndex(
+      (message) => message.event === "replay_complete"
+    );
+    const replayed = messages.slice(0, completeAt);
+    const live = messages.slice(completeAt + 1);
+
+    assert.deepEqual(
+      replayed.concat(live).map((message) => message.data.blockNumber),
+      [fromBlock, fromBlock + 1, fromBlock + 2, head - 1, head, head + 1]
+    );
+    replayed.forEach((message) => assert.equal(message.replay, true));
+    assert.deepEqual(messages[completeAt].data, {
+      from_block: fromBlock,
+      to_block: fromBlock + replayed.length - 1,
+    });
+    assert.deepEqual(
+      live.map((message) => message.sequence - live[0].sequence),
+      live.map((_, index) => index)
+    );
+  });
+
+  it("goes live while the stream is fetching the next block", async () => {
+    const fromBlock = env.node.headBlock - 1;
+    await client.call("get_block", [fromBlock]);
+    await client.call("get_block", [fromBlock + 1]);
+    // Something must follow the stream for it to fetch blocks
+    const streamed = [];
+    const onBlock = ({ blockNumber }) => streamed.push(blockNumber);
+    env.bridge.on("block", onBlock);
+    env.node.setLatency(100, "condenser_api.get_block");
+    const next = env.node.produceBlocks(1);
+
+    const calls = env.node.callCount("condenser_api.get_block");
+    const streaming = streamBlocks();
+    while (env.node.callCount("condenser_api.get_block") === calls) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    // The replay is served from cache and finishes before the stream's
+    // fetch of the next block returns
+    const { subscription_id: id } = await client.call("subscribe", [
+      "blocks",
+      { from_block: fromBlock },
+    ]);
+    await client.update(id, "replay_complete");
+    await streaming;
+    env.bridge.off("block", onBlock);
+    env.node.setLatency(0, "condenser_api.get_block");
+
+    const updates = [];
+    for (let i = 0; i < 3; i++) {
+      updates.push(await client.update(id));
+    }
+    assert.deepEqual(streamed, [next]);
+    assert.deepEqual(
+      updates.map((update) => update.data.blockNumber),
+      [fromBlock, fromBlock + 1, next]
+    );
+  });
+
+  it("rejects a start outside the backfill window", async () => {
+    const head = env.node.headBlock;
+
+    const tooOld = await client.request("subscribe", [
+      "blocks",
+      { from_block: head - 10 },
+    ]);
+    const ahead = await client.request("subscribe", [
+      "operations",
+      { from_block: head + 2 },
+    ]);
+
+    assert.deepEqual(tooOld.error, {
+      code: -32602,
+      message: "from_block is outside the 10 block backfill window",
+      data: { earliest_block: head - 9, head_block: head },
+    });
+    assert.equal(ahead.error.message, "from_block is ahead of the chain head");
+    const { subscribers } = env.bridge.getStats();
+    assert.equal(subscribers.blocks + subscribers.operations, 0);
+  });
+
+  it("reports a replay that cannot fetch a block and drops it", async () => {
+    const fromBlock = env.node.headBlock - 1;
+    env.node.fail("condenser_api.get_ops_in_block", { times: 5 });
+
+    const { subscription_id: id } = await client.call("subscribe", [
+      "operations",
+      { from_block: fromBlock },
+    ]);
+    const failed = await client.update(id, "replay_failed");
+
+    assert.equal(failed.data.next_block, fromBlock);
+    assert.match(failed.data.error, /Injected failure/);
+    const unsubscribed = await client.request("unsubscribe", [id]);
+    assert.ok(unsubscribed.error);
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBridge } = require("../steem-bridge");
+const { startBridge, TestClient } = require("./helpers");
+const { MockSteemNode } = require("./mock-steem-node");
+
+const withAlice = (balance = "100.000 STEEM") =>
+  new MockSteemNode({ accounts: [{ name: "alice", balance }] });
+
+describe("verified requests", () => {
+  let env;
+  let client;
+
+  afterEach(async () => {
+    await client.close();
+    await env.stop();
+  });
+
+  const start = async (nodes, verification) => {
+    env = await startBridge({ nodes, verification });
+    client = await TestClient.connect(env.bridge);
+  };
+
+  it("answers when every node agrees", async () => {
+    await start([withAlice(), withAlice()]);
+
+    const response = await client.request("get_accounts", [["alice"]], {
+      verified: true,
+    });
+    const invalid = await client.request("get_accounts", [["alice"]], {
+      verified: "yes",
+    });
+
+    assert.equal(response.result[0].balance, "100.000 STEEM");
+    env.nodes.forEach((node) =>
+      assert.equal(node.callCount("condenser_api.get_accounts"), 1)
+    );
+    assert.equal(invalid.error.code, -32600);
+    assert.match(
+      env.bridge.metrics.render(),
+      /steem_bridge_verified_requests_total\{method="condenser_api.get_accounts",outcome="agreed"\} 1/
+    );
+  });
+
+  it("reports the divergent node and counts it against its health", async () => {
+    await start([withAlice(), withAlice(), withAlice("1.000 STEEM")], {
+      nodes: 3,
+    });
+    const urls = env.nodes.map((node) => node.url);
+
+    const response = await client.request("get_accounts", [["alice"]], {
+      verified: true,
+    });
+
+    assert.deepEqual(response.error, {
+      code: -32005,
+      message:
+        "consistency_error: upstream nodes disagree on condenser_api.get_accounts",
+      data: { nodes: urls, divergent: [urls[2]] },
+    });
+    const { steemNetwork } = env.bridge.getStats();
+    assert.deepEqual(
+      steemNetwork.nodes.map((node) => node.disagreements),
+      [0, 0, 1]
+    );
+    assert.equal(steemNetwork.nodes[2].errorCount, 1);
+    assert.equal(steemNetwork.errors.consistency, 1);
+  });
+
+  it("verifies configured methods and needs enough nodes", async () => {
+    await start([withAlice(), withAlice("1.000 STEEM")], {
+      methods: ["condenser_api.get_accounts"],
+    });
+    const [, second] = env.nodes;
+
+    const split = await client.request("get_accounts", [["alice"]]);
+    second.setDown();
+    const unavailable = await client.request("get_accounts", [["alice"]]);
+
+    // Without a majority neither node is blamed
+    assert.deepEqual(
+      split.error.data.divergent,
+      env.nodes.map((node) => node.url)
+    );
+    assert.deepEqual(
+      env.bridge.listNodes().map((node) => node.disagreements),
+      [0, 0]
+    );
+    assert.deepEqual(unavailable.error, {
+      code: -32000,
+      message:
+        "Cannot verify condenser_api.get_accounts: 1 of 2 nodes answered",
+    });
+    assert.throws(
+      () => env.bridge.removeNode(second.url),
+      /needed for verified calls: verification.nodes \(2\) must not exceed the number of nodes \(1\)/
+    );
+    assert.throws(
+      () => env.bridge.setNodeEnabled(second.url, false),
+      /needed for verified calls/
+    );
+    assert.equal(env.bridge.listNodes()[1].enabled, true);
+  });
+
+  it("refuses to verify methods whose answers change every block", async () => {
+    await start([withAlice(), withAlice()]);
+
+    const response = await client.request("get_dynamic_global_properties", [], {
+      verified: true,
+    });
+
+    assert.deepEqual(response.error, {
+      code: -32600,
+      message:
+        "condenser_api.get_dynamic_global_properties changes with every block and cannot be verified",
+    });
+    assert.throws(
+      () =>
+        createBridge({
+          verification: { methods: ["market_history_api.get_ticker"] },
+        }),
+      /verification.methods cannot include market_history_api.get_ticker/
+    );
+  });
+
+  it("keeps verified calls out of the fast lane", async () => {
+    await start([withAlice(), withAlice()], {
+      methods: ["condenser_api.get_accounts"],
+    });
+
+    await client.call("get_block", [40]);
+    await client.call("get_accounts", [["alice"]]);
+
+    const request = { method: "get_block", params: [40] };
+    assert.equal(env.bridge.isCheapRequest(request), true);
+    assert.equal(
+      env.bridge.isCheapRequest({ ...request, verified: true }),
+      false
+    );
+    assert.equal(
+      env.bridge.isCheapRequest({
+        method: "get_accounts",
+        params: [["alice"]],
+      }),
+      false
+    );
+  });
+
+  it("keeps the error data in the legacy envelope", async () => {
+    await start([withAlice(), withAlice(), withAlice("1.000 STEEM")], {
+      nodes: 3,
+    });
+    const urls = env.nodes.map((node) => node.url);
+
+    client.send({
+      id: "legacy",
+      method: "get_accounts",
+      params: [["alice"]],
+      verified: true,
+    });
+    const response = await client.next((message) => message.id === "legacy");
+
+    assert.deepEqual(response, {
+      id: "legacy",
+      error:
+        "consistency_error: upstream nodes disagree on condenser_api.get_accounts",
+      type: "error",
+      method: "get_accounts",
+      data: { nodes: urls, divergent: [urls[2]] },
+    });
+  });
+});